@@ -0,0 +1,3 @@
+// 前端配置。页面由 server.js 提供时，服务器会按 config.js 的配置生成这个文件（覆盖这里的内容），
+// 这里的默认值只在单独托管静态页面（例如 GitHub Pages）时生效，此时需要按实际的后端地址修改
+window.APP_CONFIG = { apiBase: 'http://localhost:5000/api' };
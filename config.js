@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+
+// === 配置 ===
+// server.js 和 scripts/ 下的脚本共用这里的配置，优先级：环境变量 > 配置文件 > 默认值。
+// 配置文件默认为项目根目录下的 config.json（不存在时忽略），也可以用 CONFIG_FILE 指定路径，格式见 config.example.json。
+//
+//   PORT          监听端口，默认 5000
+//   BASE_URL      对外访问的地址，例如 https://example.com，默认 http://localhost:<PORT>。
+//                 接口返回的媒体地址、前端的接口地址都以它为前缀
+//   DB_PATH       数据库文件，默认 database.sqlite
+//   UPLOAD_DIR    上传文件目录，默认 uploads
+//   PRIVATE_UPLOAD_DIR  私信附件目录，默认 private_uploads。不能放在 UPLOAD_DIR 下：UPLOAD_DIR 中的文件任何人都能直接访问
+//   CORS_ORIGINS  允许跨域访问接口的来源，逗号分隔，* 表示允许所有来源；默认只允许 BASE_URL 本身
+//   TRUST_PROXY   部署在反向代理后面时设置，按 X-Forwarded-For 识别访问者 IP（用于限流），
+//                 取值同 Express 的 trust proxy，例如 true、1、loopback；默认不信任
+//   NICKNAME_REDIRECT_DAYS  改名后旧昵称保留的天数：期间旧昵称的主页跳转到新昵称，其他人不能使用这个昵称。
+//                 默认 30，0 表示改名后旧昵称立即释放
+//
+// 限流和反垃圾规则只能在配置文件中修改 (rateLimits / antiSpam)，未填写的项使用下面的默认值。
+//
+// 相对路径按项目根目录解析，与从哪个目录启动无关
+
+const ROOT = __dirname;
+
+// 限流规则：windowSeconds 秒内每个 IP (perIp) 和每个账号 (perUser) 最多请求的次数，0 表示不限制
+const DEFAULT_RATE_LIMITS = {
+    login: { windowSeconds: 15 * 60, perIp: 30, perUser: 0 },
+    register: { windowSeconds: 60 * 60, perIp: 5, perUser: 0 },
+    tweet: { windowSeconds: 10 * 60, perIp: 60, perUser: 30 },
+    comment: { windowSeconds: 10 * 60, perIp: 120, perUser: 60 },
+    message: { windowSeconds: 60, perIp: 60, perUser: 30 },
+    draft: { windowSeconds: 10 * 60, perIp: 120, perUser: 60 },
+    import: { windowSeconds: 60 * 60, perIp: 5, perUser: 3 }
+};
+
+// 反垃圾规则：
+//   loginMaxFailures        同一昵称连续登录失败多少次后锁定
+//   loginLockoutSeconds     第一次锁定的时长，之后每次锁定翻倍
+//   loginMaxLockoutSeconds  锁定时长上限
+//   duplicateWindowSeconds  多少秒内不能重复发布相同的推文或评论，0 表示不检查
+//   maxLinks                每条推文或评论最多包含的链接数
+const DEFAULT_ANTI_SPAM = {
+    loginMaxFailures: 5,
+    loginLockoutSeconds: 60,
+    loginMaxLockoutSeconds: 60 * 60,
+    duplicateWindowSeconds: 10 * 60,
+    maxLinks: 3
+};
+
+// 用配置文件中的值覆盖默认值，只接受非负整数
+function mergeNumbers(defaults, overrides, name) {
+    const merged = { ...defaults };
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+        if (!(key in defaults)) throw new Error(`${name}.${key} 不是有效的配置项`);
+        if (!(Number.isInteger(value) && value >= 0)) throw new Error(`${name}.${key} 必须是非负整数`);
+        merged[key] = value;
+    });
+    return merged;
+}
+
+function parseTrustProxy(value) {
+    if (value === undefined || value === '' || value === 'false') return false;
+    if (value === true || value === 'true') return true;
+    if (/^\d+$/.test(String(value))) return Number(value);
+    return String(value);
+}
+
+function readConfigFile() {
+    const file = process.env.CONFIG_FILE ? path.resolve(process.env.CONFIG_FILE) : path.join(ROOT, 'config.json');
+    if (!fs.existsSync(file)) {
+        if (process.env.CONFIG_FILE) throw new Error(`配置文件不存在: ${file}`);
+        return {};
+    }
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`配置文件 ${file} 格式错误: ${e.message}`);
+    }
+}
+
+function loadConfig() {
+    const file = readConfigFile();
+    const env = process.env;
+
+    const port = parseInt(env.PORT || file.port || 5000, 10);
+    if (!(port > 0 && port < 65536)) throw new Error(`端口无效: ${env.PORT || file.port}`);
+
+    const baseUrl = String(env.BASE_URL || file.baseUrl || `http://localhost:${port}`).replace(/\/+$/, '');
+    let origin;
+    try {
+        origin = new URL(baseUrl).origin;
+    } catch (e) {
+        throw new Error(`BASE_URL 无效: ${baseUrl}`);
+    }
+
+    let corsOrigins = env.CORS_ORIGINS !== undefined ? env.CORS_ORIGINS.split(',') : file.corsOrigins;
+    corsOrigins = (Array.isArray(corsOrigins) ? corsOrigins : [origin]).map(o => String(o).trim().replace(/\/+$/, '')).filter(o => o);
+
+    const nicknameRedirectDays = Number(env.NICKNAME_REDIRECT_DAYS !== undefined ? env.NICKNAME_REDIRECT_DAYS : (file.nicknameRedirectDays ?? 30));
+    if (!(Number.isInteger(nicknameRedirectDays) && nicknameRedirectDays >= 0)) {
+        throw new Error(`NICKNAME_REDIRECT_DAYS 必须是非负整数: ${env.NICKNAME_REDIRECT_DAYS ?? file.nicknameRedirectDays}`);
+    }
+
+    const fileRateLimits = file.rateLimits || {};
+    const rateLimits = {};
+    Object.keys(DEFAULT_RATE_LIMITS).forEach(name => {
+        rateLimits[name] = mergeNumbers(DEFAULT_RATE_LIMITS[name], fileRateLimits[name], `rateLimits.${name}`);
+    });
+    Object.keys(fileRateLimits).forEach(name => {
+        if (!rateLimits[name]) throw new Error(`rateLimits.${name} 不是有效的配置项`);
+    });
+
+    return {
+        port,
+        baseUrl,
+        dbPath: path.resolve(ROOT, env.DB_PATH || file.dbPath || 'database.sqlite'),
+        uploadDir: path.resolve(ROOT, env.UPLOAD_DIR || file.uploadDir || 'uploads'),
+        privateUploadDir: path.resolve(ROOT, env.PRIVATE_UPLOAD_DIR || file.privateUploadDir || 'private_uploads'),
+        corsOrigins,
+        trustProxy: parseTrustProxy(env.TRUST_PROXY !== undefined ? env.TRUST_PROXY : file.trustProxy),
+        nicknameRedirectDays,
+        rateLimits,
+        antiSpam: mergeNumbers(DEFAULT_ANTI_SPAM, file.antiSpam, 'antiSpam')
+    };
+}
+
+module.exports = loadConfig();
@@ -0,0 +1,393 @@
+// 推文和评论正文使用的 Markdown 子集，server.js (require) 和 index.html (<script>) 共用同一份实现：
+// **粗体**、*斜体*、`行内代码`、```语言 代码块 (带语法高亮)```、[文字](链接) 和直接写出的网址、
+// - / 1. 列表、> 引用、||剧透||，以及 @昵称 和 #标签 链接。
+// 不支持原始 HTML：所有文本先转义，只生成下面用到的固定标签；链接只允许 http(s) 和 mailto。
+// @昵称 和 #标签 渲染为带 data-user / data-tag 的链接，点击由页面处理
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Markdown = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // 与 server.js 中 parseMentionsAndHashtags 的匹配规则一致
+    const ENTITY_RE = /(^|[^\p{L}\p{N}_.@#&/])([@#])([\p{L}\p{N}\p{M}_-]+)/gu;
+    const HASHTAG_MAX_LENGTH = 50;
+    const SAFE_URL_RE = /^(https?:\/\/|mailto:)/i;
+    // 引用可以嵌套，超过这个层数的 > 按普通文本处理
+    const MAX_QUOTE_DEPTH = 3;
+    const SPOILER_PLACEHOLDER = '[剧透]';
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    // === 代码高亮 ===
+    // 按语言区分注释、字符串、数字和关键字，其余原样转义；未知语言不高亮
+
+    const C_LIKE = { lineComment: '//', blockComment: true, strings: '\'"' };
+    const LANGUAGES = {
+        javascript: {
+            ...C_LIKE, strings: '\'"`',
+            keywords: 'async await break case catch class const continue debugger default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield'
+        },
+        typescript: {
+            ...C_LIKE, strings: '\'"`',
+            keywords: 'abstract any as async await boolean break case catch class const continue declare default delete do else enum export extends false finally for from function if implements import in instanceof interface keyof let namespace never new null number of private protected public readonly return static string super switch this throw true try type typeof undefined unknown var void while yield'
+        },
+        json: { strings: '"', keywords: 'true false null' },
+        python: {
+            lineComment: '#', strings: '\'"', tripleQuotes: true,
+            keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield'
+        },
+        shell: {
+            lineComment: '#', strings: '\'"',
+            keywords: 'case do done echo elif else esac exit export fi for function if in local read return set then unset until while'
+        },
+        sql: {
+            lineComment: '--', blockComment: true, strings: '\'', ignoreCase: true,
+            keywords: 'add alter and as asc begin between by case commit create delete desc distinct drop else end exists from group having in index inner insert into is join key left like limit not null offset on or order outer primary references right rollback select set table then transaction union unique update values view when where with'
+        },
+        java: {
+            ...C_LIKE,
+            keywords: 'abstract boolean break byte case catch char class continue default do double else enum extends false final finally float for if implements import instanceof int interface long new null package private protected public return short static super switch this throw throws true try void volatile while'
+        },
+        c: {
+            ...C_LIKE,
+            keywords: 'auto bool break case char class const continue default delete do double else enum extern false float for goto if include inline int long namespace new nullptr private protected public return short signed sizeof static struct switch template this true typedef typename union unsigned using virtual void volatile while'
+        },
+        go: {
+            ...C_LIKE, strings: '\'"`',
+            keywords: 'break case chan const continue default defer else fallthrough false for func go goto if import interface map nil package range return select struct switch true type var'
+        },
+        rust: {
+            ...C_LIKE, strings: '"',
+            keywords: 'as async await break const continue crate else enum false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while'
+        },
+        css: { blockComment: true, strings: '\'"', keywords: 'important inherit initial none auto' }
+    };
+    const LANGUAGE_ALIASES = {
+        js: 'javascript', jsx: 'javascript', mjs: 'javascript', node: 'javascript',
+        ts: 'typescript', tsx: 'typescript',
+        py: 'python', python3: 'python',
+        sh: 'shell', bash: 'shell', zsh: 'shell', console: 'shell',
+        cpp: 'c', 'c++': 'c', h: 'c', cs: 'c', csharp: 'c',
+        golang: 'go', rs: 'rust', kotlin: 'java', kt: 'java'
+    };
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // 为语言生成分词正则：1 注释、2 字符串、3 数字、4 单词
+    const compiledLanguages = {};
+    function compileLanguage(name) {
+        if (compiledLanguages[name]) return compiledLanguages[name];
+        const lang = LANGUAGES[name];
+        const comments = [];
+        if (lang.blockComment) comments.push('\\/\\*[\\s\\S]*?(?:\\*\\/|$)');
+        if (lang.lineComment) comments.push(`${escapeRegExp(lang.lineComment)}[^\\n]*`);
+        const strings = [];
+        if (lang.tripleQuotes) strings.push('"""[\\s\\S]*?(?:"""|$)', "'''[\\s\\S]*?(?:'''|$)");
+        for (const q of lang.strings) {
+            // 反引号字符串可以跨行，其余字符串在行尾结束
+            strings.push(`${q}(?:\\\\[\\s\\S]|[^\\\\${q}${q === '`' ? '' : '\\n'}])*${q}?`);
+        }
+        const parts = [
+            comments.length ? comments.join('|') : '(?!)',
+            strings.join('|'),
+            '\\b(?:0x[\\da-fA-F]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b',
+            '[A-Za-z_$][\\w$]*'
+        ];
+        compiledLanguages[name] = {
+            re: new RegExp(parts.map(p => `(${p})`).join('|'), 'g'),
+            keywords: new Set(lang.keywords.split(' ').map(k => lang.ignoreCase ? k.toLowerCase() : k)),
+            ignoreCase: !!lang.ignoreCase
+        };
+        return compiledLanguages[name];
+    }
+
+    function highlightCode(code, language) {
+        const name = LANGUAGE_ALIASES[language] || language;
+        if (!LANGUAGES[name]) return escapeHtml(code);
+
+        const { re, keywords, ignoreCase } = compileLanguage(name);
+        let html = '';
+        let last = 0;
+        re.lastIndex = 0;
+        let m;
+        while ((m = re.exec(code)) !== null) {
+            if (m[0] === '') {
+                re.lastIndex++;
+                continue;
+            }
+            let cls = null;
+            if (m[1]) cls = 'comment';
+            else if (m[2]) cls = 'string';
+            else if (m[3]) cls = 'number';
+            else if (keywords.has(ignoreCase ? m[4].toLowerCase() : m[4])) cls = 'keyword';
+            if (!cls) continue;
+            html += escapeHtml(code.slice(last, m.index)) + `<span class="hl-${cls}">${escapeHtml(m[0])}</span>`;
+            last = m.index + m[0].length;
+        }
+        return html + escapeHtml(code.slice(last));
+    }
+
+    // === 行内语法 ===
+
+    // 网址末尾的标点通常不属于网址；右括号多于左括号时，多出的右括号也不属于网址
+    function trimUrl(url) {
+        let open = 0;
+        let close = 0;
+        for (const ch of url) {
+            if (ch === '(') open++;
+            else if (ch === ')') close++;
+        }
+        let end = url.length;
+        while (end > 0) {
+            const ch = url[end - 1];
+            if ('.,;:!?\'"'.includes(ch)) {
+                end--;
+            } else if (ch === ')' && close > open) {
+                end--;
+                close--;
+            } else {
+                break;
+            }
+        }
+        return url.slice(0, end);
+    }
+
+    const isSpace = (ch) => /\s/.test(ch);
+    const URL_STOP = new Set(['<', '>', '"', "'", '`']);
+
+    // 从右往左算出每个位置 (含) 之后第一个满足 test 的位置，没有时为 text.length
+    function nextPositions(text, test) {
+        const next = new Int32Array(text.length + 1);
+        next[text.length] = text.length;
+        for (let i = text.length - 1; i >= 0; i--) next[i] = test(i) ? i : next[i + 1];
+        return next;
+    }
+
+    // 扫描行内语法，按出现顺序返回互不重叠的 { type, start, end, content, href }：
+    // code `行内代码`、link [文字](链接)、url 直接写出的网址、spoiler ||剧透||、strong **粗体**、em *斜体*。
+    // 同一位置按上面的顺序尝试，都不成立时后移一个字符。内容不能跨行；粗体、斜体和剧透紧挨标记的字符不能是空格，
+    // 避免 a || b、2 * 3 * 4 之类的普通文本被当成格式。
+    // 结束标记的位置都预先算好，每个位置的判断是常数时间：正则写法遇到大量没有闭合的 [、** 或 || 时，
+    // 每个位置都要扫描到行尾，耗时随长度平方增长
+    function scanInline(text) {
+        const n = text.length;
+        const lineEnd = nextPositions(text, i => text[i] === '\n');
+        const nextBacktick = nextPositions(text, i => text[i] === '`');
+        const nextStar = nextPositions(text, i => text[i] === '*');
+        const nextBracket = nextPositions(text, i => text[i] === ']');
+        // 链接地址在括号或空白处结束，网址在空白或引号、尖括号处结束
+        const hrefStop = nextPositions(text, i => text[i] === '(' || text[i] === ')' || isSpace(text[i]));
+        const urlStop = nextPositions(text, i => URL_STOP.has(text[i]) || isSpace(text[i]));
+        // 可以作为剧透 / 粗体结束的 || / **：前一个字符不是空白，也不是同一个标记符
+        const closer = (mark) => nextPositions(text, i => i > 0 && text[i] === mark && text[i + 1] === mark
+            && text[i - 1] !== mark && !isSpace(text[i - 1]));
+        const spoilerClose = closer('|');
+        const strongClose = closer('*');
+        const canOpen = (ch, mark) => ch !== undefined && ch !== mark && !isSpace(ch);
+
+        const tokens = [];
+        let i = 0;
+        while (i < n) {
+            const ch = text[i];
+            const eol = lineEnd[i];
+            let token = null;
+            if (ch === '`') {
+                const k = nextBacktick[i + 1];
+                if (k < eol && k > i + 1) token = { type: 'code', start: i, end: k + 1, content: text.slice(i + 1, k) };
+            } else if (ch === '[') {
+                const j = nextBracket[i + 1];
+                if (j < eol && j > i + 1 && text[j + 1] === '(') {
+                    const k = hrefStop[j + 2];
+                    if (k > j + 2 && text[k] === ')') {
+                        token = { type: 'link', start: i, end: k + 1, content: text.slice(i + 1, j), href: text.slice(j + 2, k) };
+                    }
+                }
+            } else if (ch === 'h' && (text.startsWith('http://', i) || text.startsWith('https://', i))) {
+                const from = i + (text[i + 4] === 's' ? 8 : 7);
+                const k = urlStop[from];
+                if (k > from) {
+                    const url = trimUrl(text.slice(i, k));
+                    token = { type: 'url', start: i, end: i + url.length, content: url };
+                }
+            } else if (ch === '|' && text[i + 1] === '|' && canOpen(text[i + 2], '|')) {
+                const k = spoilerClose[i + 3];
+                if (k < eol) token = { type: 'spoiler', start: i, end: k + 2, content: text.slice(i + 2, k) };
+            } else if (ch === '*' && text[i + 1] === '*') {
+                if (canOpen(text[i + 2], '*')) {
+                    const k = strongClose[i + 3];
+                    if (k < eol) token = { type: 'strong', start: i, end: k + 2, content: text.slice(i + 2, k) };
+                }
+            } else if (ch === '*' && canOpen(text[i + 1], '*')) {
+                const k = nextStar[i + 1];
+                if (k < eol && !isSpace(text[k - 1])) token = { type: 'em', start: i, end: k + 1, content: text.slice(i + 1, k) };
+            }
+
+            if (token) {
+                tokens.push(token);
+                i = token.end;
+            } else {
+                i++;
+            }
+        }
+        return tokens;
+    }
+
+    function renderLink(href, innerHtml) {
+        return `<a class="md-link" href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer nofollow">${innerHtml}</a>`;
+    }
+
+    // 普通文本：@昵称 (只限 mentions 中确认存在的用户) 和 #标签 渲染为链接
+    function renderEntities(text, ctx) {
+        if (!ctx.links) return escapeHtml(text);
+        let html = '';
+        let last = 0;
+        for (const m of text.matchAll(ENTITY_RE)) {
+            const [, prefix, trigger, name] = m;
+            let link = null;
+            if (trigger === '@' && ctx.mentions.has(name)) {
+                link = `<a class="mention-link" data-user="${escapeHtml(name)}">@${escapeHtml(name)}</a>`;
+            } else if (trigger === '#' && !/^\d+$/.test(name) && name.length <= HASHTAG_MAX_LENGTH) {
+                link = `<a class="hashtag-link" data-tag="${escapeHtml(name)}">#${escapeHtml(name)}</a>`;
+            }
+            if (!link) continue;
+
+            const start = m.index + prefix.length;
+            html += escapeHtml(text.slice(last, start)) + link;
+            last = start + 1 + name.length;
+        }
+        return html + escapeHtml(text.slice(last));
+    }
+
+    // ctx.links 为 false 时 (链接文字内部) 不再生成链接，链接和网址按普通文本输出
+    function renderInline(text, ctx) {
+        let html = '';
+        let last = 0;
+        for (const t of scanInline(text)) {
+            let token;
+            if (t.type === 'code') {
+                token = `<code class="md-inline-code">${escapeHtml(t.content)}</code>`;
+            } else if (t.type === 'link') {
+                if (!ctx.links || !SAFE_URL_RE.test(t.href)) continue;
+                token = renderLink(t.href, renderInline(t.content, { ...ctx, links: false }));
+            } else if (t.type === 'url') {
+                if (!ctx.links) continue;
+                token = renderLink(t.content, escapeHtml(t.content));
+            } else if (t.type === 'spoiler') {
+                token = `<span class="md-spoiler" title="点击显示">${renderInline(t.content, ctx)}</span>`;
+            } else {
+                token = `<${t.type}>${renderInline(t.content, ctx)}</${t.type}>`;
+            }
+            html += renderEntities(text.slice(last, t.start), ctx) + token;
+            last = t.end;
+        }
+        return html + renderEntities(text.slice(last), ctx);
+    }
+
+    // === 块级语法 ===
+
+    const FENCE_RE = /^ {0,3}```\s*([\w+#.-]*)\s*$/;
+    const QUOTE_RE = /^ {0,3}> ?/;
+    const BULLET_RE = /^ {0,3}[-*+] +(.*)$/;
+    const ORDERED_RE = /^ {0,3}(\d{1,9})[.)] +(.*)$/;
+
+    // 正文按行切分为代码块、引用、列表和普通文本。普通文本保留原有换行 (页面使用 white-space: pre-wrap)，
+    // 块之间不输出换行，避免多出空行
+    function renderBlocks(lines, ctx, depth) {
+        const out = [];
+        let paragraph = [];
+        const flush = () => {
+            if (paragraph.length === 0) return;
+            out.push(renderInline(paragraph.join('\n'), ctx));
+            paragraph = [];
+        };
+
+        let i = 0;
+        while (i < lines.length) {
+            const line = lines[i];
+            const fence = line.match(FENCE_RE);
+            if (fence) {
+                flush();
+                const code = [];
+                i++;
+                while (i < lines.length && !/^ {0,3}```\s*$/.test(lines[i])) code.push(lines[i++]);
+                i++;
+                const language = fence[1].toLowerCase();
+                const langAttr = language ? ` data-lang="${escapeHtml(language)}"` : '';
+                out.push(`<pre class="md-code-block"${langAttr}><code>${highlightCode(code.join('\n'), language)}</code></pre>`);
+                continue;
+            }
+
+            if (depth < MAX_QUOTE_DEPTH && QUOTE_RE.test(line)) {
+                flush();
+                const quoted = [];
+                while (i < lines.length && QUOTE_RE.test(lines[i])) quoted.push(lines[i++].replace(QUOTE_RE, ''));
+                out.push(`<blockquote class="md-quote">${renderBlocks(quoted, ctx, depth + 1)}</blockquote>`);
+                continue;
+            }
+
+            const listRe = BULLET_RE.test(line) ? BULLET_RE : ORDERED_RE.test(line) ? ORDERED_RE : null;
+            if (listRe) {
+                flush();
+                const items = [];
+                const start = listRe === ORDERED_RE ? parseInt(line.match(ORDERED_RE)[1], 10) : null;
+                while (i < lines.length && listRe.test(lines[i])) {
+                    const m = lines[i++].match(listRe);
+                    items.push(`<li>${renderInline(listRe === ORDERED_RE ? m[2] : m[1], ctx)}</li>`);
+                }
+                out.push(start === null
+                    ? `<ul class="md-list">${items.join('')}</ul>`
+                    : `<ol class="md-list"${start !== 1 ? ` start="${start}"` : ''}>${items.join('')}</ol>`);
+                continue;
+            }
+
+            paragraph.push(line);
+            i++;
+        }
+        flush();
+        return out.join('');
+    }
+
+    // 渲染为 HTML。options.mentions 为服务端确认存在、可以链接的昵称
+    function render(text, options = {}) {
+        if (!text) return '';
+        const ctx = { mentions: new Set(options.mentions || []), links: true };
+        return renderBlocks(String(text).replace(/\r\n?/g, '\n').split('\n'), ctx, 0);
+    }
+
+    // 去掉行内标记，剧透替换为占位符
+    function inlineToPlainText(text) {
+        let out = '';
+        let last = 0;
+        for (const t of scanInline(text)) {
+            let plain = t.content;
+            if (t.type === 'spoiler') plain = SPOILER_PLACEHOLDER;
+            else if (t.type !== 'code' && t.type !== 'url') plain = inlineToPlainText(t.content);
+            out += text.slice(last, t.start) + plain;
+            last = t.end;
+        }
+        return out + text.slice(last);
+    }
+
+    // 去掉格式得到纯文本，用于通知摘要和链接预览。剧透内容替换为占位符，代码块保留代码
+    function toPlainText(text) {
+        if (!text) return '';
+        return inlineToPlainText(String(text)
+            .replace(/\r\n?/g, '\n')
+            .replace(/^ {0,3}```.*$/gm, '')
+            .replace(/^ {0,3}(?:> ?)+/gm, '')
+            .replace(/^ {0,3}(?:[-*+]|\d{1,9}[.)]) +/gm, '')).trim();
+    }
+
+    return { render, toPlainText, escapeHtml };
+});
@@ -0,0 +1,91 @@
+const { series, addColumnIfMissing } = require('./index');
+
+// 基线：引入迁移机制之前 server.js 启动时创建的表结构。
+// 旧数据库中这些表已经存在，CREATE TABLE IF NOT EXISTS 不会改动数据，这里只补齐后来加入的列。
+exports.up = (db, done) => {
+    db.exec(`
+        -- 用户表
+        CREATE TABLE IF NOT EXISTS users (
+            nickname TEXT PRIMARY KEY,
+            password TEXT NOT NULL,
+            bio TEXT DEFAULT '这个人很懒，什么都没写...',
+            avatar TEXT,
+            banner TEXT,
+            is_admin INTEGER DEFAULT 0
+        );
+
+        -- 推文表
+        CREATE TABLE IF NOT EXISTS tweets (
+            id TEXT PRIMARY KEY,
+            author_uid TEXT,
+            content TEXT,
+            media TEXT,
+            tags TEXT,
+            timestamp TEXT,
+            reactions_like TEXT DEFAULT '[]',
+            reactions_confused TEXT DEFAULT '[]',
+            reactions_omg TEXT DEFAULT '[]',
+            FOREIGN KEY (author_uid) REFERENCES users(nickname) ON UPDATE CASCADE
+        );
+
+        -- 评论表
+        CREATE TABLE IF NOT EXISTS comments (
+            id TEXT PRIMARY KEY,
+            tweet_id TEXT,
+            author_uid TEXT,
+            text TEXT,
+            timestamp TEXT,
+            parent_id TEXT DEFAULT NULL,
+            likes TEXT DEFAULT '[]',
+            FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE,
+            FOREIGN KEY (author_uid) REFERENCES users(nickname) ON UPDATE CASCADE
+        );
+
+        -- 收藏表
+        CREATE TABLE IF NOT EXISTS bookmarks (
+            user_id TEXT NOT NULL,
+            tweet_id TEXT NOT NULL,
+            timestamp TEXT,
+            PRIMARY KEY (user_id, tweet_id),
+            FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE
+        );
+
+        -- 站点配置表 (用于存放新手引导等统一配置)
+        CREATE TABLE IF NOT EXISTS site_config (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL
+        );
+
+        -- 会话表 (只保存令牌的 SHA-256 摘要，原始令牌仅下发给客户端)
+        CREATE TABLE IF NOT EXISTS sessions (
+            token_hash TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            expires_at INTEGER NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(nickname) ON UPDATE CASCADE ON DELETE CASCADE
+        );
+
+        -- 全文索引：内容经过中文分字处理后写入，见 server.js 中的 segmentForSearch
+        CREATE VIRTUAL TABLE IF NOT EXISTS tweets_fts USING fts5(
+            tweet_id UNINDEXED,
+            content,
+            tags,
+            comments,
+            tokenize = 'unicode61 remove_diacritics 2'
+        );
+
+        -- 删除推文（包括删号时的批量删除）时同步清理索引
+        CREATE TRIGGER IF NOT EXISTS tweets_fts_after_delete AFTER DELETE ON tweets BEGIN
+            DELETE FROM tweets_fts WHERE tweet_id = old.id;
+        END;
+    `, (err) => {
+        if (err) return done(err);
+
+        series([
+            (next) => addColumnIfMissing(db, 'users', 'banner', 'TEXT', next),
+            (next) => addColumnIfMissing(db, 'users', 'is_admin', 'INTEGER DEFAULT 0', next),
+            (next) => addColumnIfMissing(db, 'comments', 'parent_id', 'TEXT DEFAULT NULL', next),
+            (next) => addColumnIfMissing(db, 'comments', 'likes', "TEXT DEFAULT '[]'", next)
+        ], done);
+    });
+};
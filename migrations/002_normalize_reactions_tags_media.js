@@ -0,0 +1,165 @@
+const { runStatements, series } = require('./index');
+
+const REACTION_TYPES = ['like', 'confused', 'omg'];
+
+// 把推文的 reactions_* / tags / media 以及评论的 likes 从 JSON 字符串列迁移到独立的关系表，
+// 转换完成后删除旧列。
+//
+// 旧数据的兼容规则：
+// - reactions_* 可能是最早版本的整数计数（没有用户列表），整数保存到 tweet_reaction_legacy_counts，
+//   接口返回的数量 = 用户互动数 + 旧计数
+// - 数组中已不存在的用户（账号已注销）直接丢弃，与新表上 ON DELETE CASCADE 的行为一致
+// - 无法解析的 JSON 按空数组处理
+exports.up = (db, done) => {
+    db.exec(`
+        CREATE TABLE tweet_reactions (
+            tweet_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            type TEXT NOT NULL CHECK (type IN ('like', 'confused', 'omg')),
+            created_at INTEGER NOT NULL,
+            PRIMARY KEY (tweet_id, type, user_id),
+            FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(nickname) ON UPDATE CASCADE ON DELETE CASCADE
+        );
+        CREATE INDEX idx_tweet_reactions_user ON tweet_reactions(user_id);
+
+        CREATE TABLE tweet_reaction_legacy_counts (
+            tweet_id TEXT NOT NULL,
+            type TEXT NOT NULL CHECK (type IN ('like', 'confused', 'omg')),
+            count INTEGER NOT NULL,
+            PRIMARY KEY (tweet_id, type),
+            FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE comment_likes (
+            comment_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            PRIMARY KEY (comment_id, user_id),
+            FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(nickname) ON UPDATE CASCADE ON DELETE CASCADE
+        );
+        CREATE INDEX idx_comment_likes_user ON comment_likes(user_id);
+
+        CREATE TABLE tweet_tags (
+            tweet_id TEXT NOT NULL,
+            position INTEGER NOT NULL,
+            tag TEXT NOT NULL,
+            PRIMARY KEY (tweet_id, position),
+            FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE
+        );
+        CREATE INDEX idx_tweet_tags_tag ON tweet_tags(tag COLLATE NOCASE);
+
+        CREATE TABLE tweet_media (
+            tweet_id TEXT NOT NULL,
+            position INTEGER NOT NULL,
+            url TEXT NOT NULL,
+            type TEXT NOT NULL CHECK (type IN ('image', 'video')),
+            PRIMARY KEY (tweet_id, position),
+            FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE
+        );
+
+        -- 列表查询按作者过滤、统计评论数时使用
+        CREATE INDEX IF NOT EXISTS idx_tweets_author ON tweets(author_uid);
+        CREATE INDEX IF NOT EXISTS idx_comments_tweet ON comments(tweet_id);
+    `, (err) => {
+        if (err) return done(err);
+
+        series([
+            (next) => convertTweets(db, next),
+            (next) => convertCommentLikes(db, next),
+            (next) => db.exec(`
+                ALTER TABLE tweets DROP COLUMN media;
+                ALTER TABLE tweets DROP COLUMN tags;
+                ALTER TABLE tweets DROP COLUMN reactions_like;
+                ALTER TABLE tweets DROP COLUMN reactions_confused;
+                ALTER TABLE tweets DROP COLUMN reactions_omg;
+                ALTER TABLE comments DROP COLUMN likes;
+            `, next)
+        ], done);
+    });
+};
+
+function parseJsonArray(data) {
+    try {
+        const arr = JSON.parse(data || '[]');
+        return Array.isArray(arr) ? arr : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// 只保留仍然存在的用户，并去重
+function existingUsers(data, users) {
+    return [...new Set(parseJsonArray(data))].filter(uid => users.has(uid));
+}
+
+function loadUsers(db, cb) {
+    db.all(`SELECT nickname FROM users`, (err, rows) => {
+        if (err) return cb(err);
+        cb(null, new Set(rows.map(r => r.nickname)));
+    });
+}
+
+function convertTweets(db, cb) {
+    loadUsers(db, (err, users) => {
+        if (err) return cb(err);
+        db.all(`SELECT id, media, tags, reactions_like, reactions_confused, reactions_omg FROM tweets`, (err, tweets) => {
+            if (err) return cb(err);
+
+            const statements = [];
+            tweets.forEach(t => {
+                // 推文 id 是发布时的毫秒时间戳，作为旧互动的时间
+                const createdAt = parseInt(t.id, 10) || 0;
+
+                REACTION_TYPES.forEach(type => {
+                    const data = t[`reactions_${type}`];
+                    if (data && !isNaN(data) && !isNaN(parseFloat(data))) {
+                        const count = parseInt(data, 10);
+                        if (count > 0) {
+                            statements.push([`INSERT INTO tweet_reaction_legacy_counts (tweet_id, type, count) VALUES (?, ?, ?)`, [t.id, type, count]]);
+                        }
+                        return;
+                    }
+                    existingUsers(data, users).forEach(uid => {
+                        statements.push([`INSERT INTO tweet_reactions (tweet_id, user_id, type, created_at) VALUES (?, ?, ?, ?)`, [t.id, uid, type, createdAt]]);
+                    });
+                });
+
+                parseJsonArray(t.tags)
+                    .filter(tag => typeof tag === 'string' && tag.trim())
+                    .forEach((tag, i) => {
+                        statements.push([`INSERT INTO tweet_tags (tweet_id, position, tag) VALUES (?, ?, ?)`, [t.id, i, tag.trim()]]);
+                    });
+
+                parseJsonArray(t.media)
+                    .filter(m => m && m.url)
+                    .forEach((m, i) => {
+                        const type = m.type === 'video' ? 'video' : 'image';
+                        statements.push([`INSERT INTO tweet_media (tweet_id, position, url, type) VALUES (?, ?, ?, ?)`, [t.id, i, m.url, type]]);
+                    });
+            });
+
+            runStatements(db, statements, cb);
+        });
+    });
+}
+
+function convertCommentLikes(db, cb) {
+    loadUsers(db, (err, users) => {
+        if (err) return cb(err);
+        db.all(`SELECT id, likes FROM comments`, (err, comments) => {
+            if (err) return cb(err);
+
+            const statements = [];
+            comments.forEach(c => {
+                const createdAt = parseInt(c.id, 10) || 0;
+                existingUsers(c.likes, users).forEach(uid => {
+                    statements.push([`INSERT INTO comment_likes (comment_id, user_id, created_at) VALUES (?, ?, ?)`, [c.id, uid, createdAt]]);
+                });
+            });
+
+            runStatements(db, statements, cb);
+        });
+    });
+}
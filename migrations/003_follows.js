@@ -0,0 +1,15 @@
+// 关注关系：follower_id 关注了 followee_id
+exports.up = (db, done) => {
+    db.exec(`
+        CREATE TABLE follows (
+            follower_id TEXT NOT NULL,
+            followee_id TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            PRIMARY KEY (follower_id, followee_id),
+            CHECK (follower_id <> followee_id),
+            FOREIGN KEY (follower_id) REFERENCES users(nickname) ON UPDATE CASCADE ON DELETE CASCADE,
+            FOREIGN KEY (followee_id) REFERENCES users(nickname) ON UPDATE CASCADE ON DELETE CASCADE
+        );
+        CREATE INDEX idx_follows_followee ON follows(followee_id);
+    `, done);
+};
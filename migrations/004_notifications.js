@@ -0,0 +1,24 @@
+// 站内通知：user_id 为接收者，actor_id 为触发者
+// type: comment 评论了你的推文 / reply 回复了你的评论 / reaction 对你的推文做出反应 (reaction 列记录类型) /
+//       comment_like 赞了你的评论 / bookmark 收藏了你的推文
+exports.up = (db, done) => {
+    db.exec(`
+        CREATE TABLE notifications (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id TEXT NOT NULL,
+            actor_id TEXT NOT NULL,
+            type TEXT NOT NULL CHECK (type IN ('comment', 'reply', 'reaction', 'comment_like', 'bookmark')),
+            tweet_id TEXT,
+            comment_id TEXT,
+            reaction TEXT,
+            created_at INTEGER NOT NULL,
+            read_at INTEGER,
+            FOREIGN KEY (user_id) REFERENCES users(nickname) ON UPDATE CASCADE ON DELETE CASCADE,
+            FOREIGN KEY (actor_id) REFERENCES users(nickname) ON UPDATE CASCADE ON DELETE CASCADE,
+            FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE,
+            FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE
+        );
+        CREATE INDEX idx_notifications_user ON notifications(user_id, id);
+        CREATE INDEX idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+    `, done);
+};
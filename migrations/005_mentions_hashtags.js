@@ -0,0 +1,105 @@
+const { runStatements, series } = require('./index');
+
+// 正文和评论中的 @昵称 与 #标签：
+// - tweet_tags 增加 inline 列，区分发布时填写的标签 (0) 和从正文解析出的标签 (1)，两者都参与标签筛选
+// - comment_tags 保存评论中的 #标签
+// - tweet_mentions / comment_mentions 保存提到的、确实存在的用户
+// 已有的推文和评论在这里按同样的规则解析一遍
+exports.up = (db, done) => {
+    db.exec(`
+        ALTER TABLE tweet_tags ADD COLUMN inline INTEGER NOT NULL DEFAULT 0;
+
+        CREATE TABLE comment_tags (
+            comment_id TEXT NOT NULL,
+            position INTEGER NOT NULL,
+            tag TEXT NOT NULL,
+            PRIMARY KEY (comment_id, position),
+            FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE
+        );
+        CREATE INDEX idx_comment_tags_tag ON comment_tags(tag COLLATE NOCASE);
+
+        CREATE TABLE tweet_mentions (
+            tweet_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            PRIMARY KEY (tweet_id, user_id),
+            FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(nickname) ON UPDATE CASCADE ON DELETE CASCADE
+        );
+        CREATE INDEX idx_tweet_mentions_user ON tweet_mentions(user_id);
+
+        CREATE TABLE comment_mentions (
+            comment_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            PRIMARY KEY (comment_id, user_id),
+            FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(nickname) ON UPDATE CASCADE ON DELETE CASCADE
+        );
+        CREATE INDEX idx_comment_mentions_user ON comment_mentions(user_id);
+    `, (err) => {
+        if (err) return done(err);
+
+        series([
+            (next) => convertTweets(db, next),
+            (next) => convertComments(db, next)
+        ], done);
+    });
+};
+
+// 与 server.js 中 parseMentionsAndHashtags 的规则一致（迁移保持独立，不引用 server.js）
+const ENTITY_RE = /(^|[^\p{L}\p{N}_.@#&/])([@#])([\p{L}\p{N}\p{M}_-]+)/gu;
+const NICKNAME_RE = /^[a-zA-Z0-9_-]+$/;
+
+function parseEntities(text) {
+    const mentions = new Set();
+    const hashtags = new Map();
+    for (const m of String(text || '').matchAll(ENTITY_RE)) {
+        if (m[2] === '@') {
+            if (NICKNAME_RE.test(m[3])) mentions.add(m[3]);
+        } else if (!/^\d+$/.test(m[3]) && m[3].length <= 50 && !hashtags.has(m[3].toLowerCase())) {
+            hashtags.set(m[3].toLowerCase(), m[3]);
+        }
+    }
+    return { mentions: [...mentions], hashtags: [...hashtags.values()] };
+}
+
+function convertTweets(db, cb) {
+    db.all(`SELECT t.id, t.content,
+                (SELECT json_group_array(tag) FROM tweet_tags g WHERE g.tweet_id = t.id) AS tags_json,
+                (SELECT COUNT(*) FROM tweet_tags g WHERE g.tweet_id = t.id) AS tag_count
+            FROM tweets t`, (err, tweets) => {
+        if (err) return cb(err);
+
+        const statements = [];
+        tweets.forEach(t => {
+            const { mentions, hashtags } = parseEntities(t.content);
+            const existing = new Set(JSON.parse(t.tags_json).map(tag => tag.toLowerCase()));
+            hashtags.filter(tag => !existing.has(tag.toLowerCase())).forEach((tag, i) => {
+                statements.push([`INSERT INTO tweet_tags (tweet_id, position, tag, inline) VALUES (?, ?, ?, 1)`, [t.id, t.tag_count + i, tag]]);
+            });
+            mentions.forEach(nickname => {
+                statements.push([`INSERT INTO tweet_mentions (tweet_id, user_id) SELECT ?, nickname FROM users WHERE nickname = ?`, [t.id, nickname]]);
+            });
+        });
+
+        runStatements(db, statements, cb);
+    });
+}
+
+function convertComments(db, cb) {
+    db.all(`SELECT id, text FROM comments`, (err, comments) => {
+        if (err) return cb(err);
+
+        const statements = [];
+        comments.forEach(c => {
+            const { mentions, hashtags } = parseEntities(c.text);
+            hashtags.forEach((tag, i) => {
+                statements.push([`INSERT INTO comment_tags (comment_id, position, tag) VALUES (?, ?, ?)`, [c.id, i, tag]]);
+            });
+            mentions.forEach(nickname => {
+                statements.push([`INSERT INTO comment_mentions (comment_id, user_id) SELECT ?, nickname FROM users WHERE nickname = ?`, [c.id, nickname]]);
+            });
+        });
+
+        runStatements(db, statements, cb);
+    });
+}
@@ -0,0 +1,47 @@
+// 举报与内容审核：
+// - tweets / comments 增加 hidden_at，被管理员隐藏的内容不再出现在列表、详情和评论中
+// - users 增加 suspended_until（暂停到该时间前不能发布、评论和互动）和 banned_at（封禁后不能登录）
+// - reports 保存举报，举报时记录作者和内容快照，内容被删除后仍可查看
+// - moderation_actions 为审核操作的审计记录，目标不设外键，删除内容或用户后记录仍然保留
+exports.up = (db, done) => {
+    db.exec(`
+        ALTER TABLE tweets ADD COLUMN hidden_at INTEGER;
+        ALTER TABLE comments ADD COLUMN hidden_at INTEGER;
+        ALTER TABLE users ADD COLUMN suspended_until INTEGER;
+        ALTER TABLE users ADD COLUMN banned_at INTEGER;
+
+        CREATE TABLE reports (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            reporter_id TEXT NOT NULL,
+            target_type TEXT NOT NULL CHECK (target_type IN ('tweet', 'comment')),
+            target_id TEXT NOT NULL,
+            tweet_id TEXT NOT NULL,
+            target_author TEXT,
+            content_snapshot TEXT,
+            reason TEXT NOT NULL CHECK (reason IN ('spam', 'harassment', 'illegal', 'sexual', 'other')),
+            details TEXT,
+            status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+            created_at INTEGER NOT NULL,
+            resolved_at INTEGER,
+            resolved_by TEXT,
+            FOREIGN KEY (reporter_id) REFERENCES users(nickname) ON UPDATE CASCADE ON DELETE CASCADE,
+            FOREIGN KEY (resolved_by) REFERENCES users(nickname) ON UPDATE CASCADE ON DELETE SET NULL
+        );
+        CREATE INDEX idx_reports_target ON reports(target_type, target_id);
+        -- 同一用户对同一内容只能有一条待处理的举报
+        CREATE UNIQUE INDEX idx_reports_open ON reports(reporter_id, target_type, target_id) WHERE status = 'open';
+
+        CREATE TABLE moderation_actions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            moderator_id TEXT,
+            action TEXT NOT NULL CHECK (action IN ('hide', 'restore', 'delete', 'dismiss', 'suspend', 'ban', 'reinstate')),
+            target_type TEXT NOT NULL CHECK (target_type IN ('tweet', 'comment', 'user')),
+            target_id TEXT NOT NULL,
+            note TEXT,
+            snapshot TEXT,
+            created_at INTEGER NOT NULL,
+            FOREIGN KEY (moderator_id) REFERENCES users(nickname) ON UPDATE CASCADE ON DELETE SET NULL
+        );
+        CREATE INDEX idx_moderation_actions_target ON moderation_actions(target_type, target_id);
+    `, done);
+};
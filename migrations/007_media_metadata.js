@@ -0,0 +1,9 @@
+// 媒体尺寸与缩略图：tweet_media 增加 width / height（像素）和 thumb_url。
+// 旧数据保持为空，前端在没有缩略图时直接显示原图
+exports.up = (db, done) => {
+    db.exec(`
+        ALTER TABLE tweet_media ADD COLUMN width INTEGER;
+        ALTER TABLE tweet_media ADD COLUMN height INTEGER;
+        ALTER TABLE tweet_media ADD COLUMN thumb_url TEXT;
+    `, done);
+};
@@ -0,0 +1,46 @@
+// 私信：两个注册用户之间的一对一会话
+// - conversations 每对用户只有一个会话（user_a / user_b 不区分顺序，由表达式唯一索引保证）
+// - 一方注销后 user_a / user_b / sender_id 置为 NULL，另一方仍可查看历史消息，但不能再发送
+// - last_message_id 为最后一条消息的 id，会话列表按它倒序排列
+// - message_media 保存图片附件，字段与 tweet_media 一致
+exports.up = (db, done) => {
+    db.exec(`
+        CREATE TABLE conversations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_a TEXT,
+            user_b TEXT,
+            created_at INTEGER NOT NULL,
+            last_message_id INTEGER,
+            FOREIGN KEY (user_a) REFERENCES users(nickname) ON UPDATE CASCADE ON DELETE SET NULL,
+            FOREIGN KEY (user_b) REFERENCES users(nickname) ON UPDATE CASCADE ON DELETE SET NULL
+        );
+        CREATE UNIQUE INDEX idx_conversations_pair ON conversations(MIN(user_a, user_b), MAX(user_a, user_b));
+        CREATE INDEX idx_conversations_user_a ON conversations(user_a, last_message_id);
+        CREATE INDEX idx_conversations_user_b ON conversations(user_b, last_message_id);
+
+        CREATE TABLE messages (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            conversation_id INTEGER NOT NULL,
+            sender_id TEXT,
+            text TEXT NOT NULL DEFAULT '',
+            created_at INTEGER NOT NULL,
+            read_at INTEGER,
+            FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+            FOREIGN KEY (sender_id) REFERENCES users(nickname) ON UPDATE CASCADE ON DELETE SET NULL
+        );
+        CREATE INDEX idx_messages_conversation ON messages(conversation_id, id);
+        CREATE INDEX idx_messages_unread ON messages(conversation_id) WHERE read_at IS NULL;
+
+        CREATE TABLE message_media (
+            message_id INTEGER NOT NULL,
+            position INTEGER NOT NULL,
+            url TEXT NOT NULL,
+            type TEXT NOT NULL CHECK (type IN ('image')),
+            width INTEGER,
+            height INTEGER,
+            thumb_url TEXT,
+            PRIMARY KEY (message_id, position),
+            FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE
+        );
+    `, done);
+};
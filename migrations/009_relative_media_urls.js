@@ -0,0 +1,45 @@
+const { runStatements } = require('./index');
+
+// 上传文件的地址改为保存相对地址 /uploads/...，返回给前端时再按配置的 BASE_URL 补全。
+// 此前的版本把 http://localhost:5000 写死在地址中，这里把已保存的完整地址统一改写：
+// 推文和私信的媒体及缩略图、用户头像和背景、新手引导配图
+const OLD_PREFIX = 'http://localhost:5000/uploads/';
+const NEW_PREFIX = '/uploads/';
+
+const COLUMNS = [
+    ['tweet_media', 'url'],
+    ['tweet_media', 'thumb_url'],
+    ['message_media', 'url'],
+    ['message_media', 'thumb_url'],
+    ['users', 'avatar'],
+    ['users', 'banner']
+];
+
+exports.up = (db, done) => {
+    const statements = COLUMNS.map(([table, column]) => [
+        `UPDATE ${table} SET ${column} = ? || substr(${column}, ?) WHERE substr(${column}, 1, ?) = ?`,
+        [NEW_PREFIX, OLD_PREFIX.length + 1, OLD_PREFIX.length, OLD_PREFIX]
+    ]);
+
+    runStatements(db, statements, (err) => {
+        if (err) return done(err);
+
+        db.get(`SELECT value FROM site_config WHERE key = 'beginner_guide'`, (err, row) => {
+            if (err || !row) return done(err);
+
+            let guide;
+            try {
+                guide = JSON.parse(row.value);
+            } catch (e) {
+                // 配置已损坏时保持原样，server.js 读取时会按空配置处理
+                return done();
+            }
+            (guide.steps || []).forEach(step => {
+                if (step && typeof step.imageUrl === 'string' && step.imageUrl.startsWith(OLD_PREFIX)) {
+                    step.imageUrl = NEW_PREFIX + step.imageUrl.slice(OLD_PREFIX.length);
+                }
+            });
+            db.run(`UPDATE site_config SET value = ? WHERE key = 'beginner_guide'`, [JSON.stringify(guide)], done);
+        });
+    });
+};
@@ -0,0 +1,58 @@
+const { runStatements } = require('./index');
+
+// 推文编辑历史：
+// - tweets 增加 created_at（发布时间）和 edited_at（最后编辑时间，未编辑过为 NULL），均为毫秒时间戳。
+//   此前编辑时把 timestamp 改写成 "编于: <编辑时间>"，发布时间只能从 id 推算；这里把两者拆开，
+//   timestamp 恢复为发布时间的显示文本
+// - tweet_revisions 保存每次编辑前的版本（正文、填写的标签、媒体），created_at 为该版本开始生效的时间，
+//   replaced_at 为被下一版替换的时间
+exports.up = (db, done) => {
+    db.exec(`
+        ALTER TABLE tweets ADD COLUMN created_at INTEGER;
+        ALTER TABLE tweets ADD COLUMN edited_at INTEGER;
+
+        CREATE TABLE tweet_revisions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            tweet_id TEXT NOT NULL,
+            content TEXT,
+            tags_json TEXT NOT NULL DEFAULT '[]',
+            media_json TEXT NOT NULL DEFAULT '[]',
+            created_at INTEGER,
+            replaced_at INTEGER NOT NULL,
+            FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE
+        );
+        CREATE INDEX idx_tweet_revisions_tweet ON tweet_revisions(tweet_id, id);
+    `, (err) => {
+        if (err) return done(err);
+        backfillTimes(db, done);
+    });
+};
+
+const EDITED_PREFIX = '编于: ';
+
+// 显示文本是服务器 toLocaleString() 的结果，格式随系统语言而定，无法解析时返回 null
+function parseDisplayTime(text) {
+    const ms = Date.parse(String(text || '').trim());
+    return Number.isFinite(ms) ? ms : null;
+}
+
+function backfillTimes(db, cb) {
+    db.all(`SELECT id, timestamp FROM tweets`, (err, tweets) => {
+        if (err) return cb(err);
+
+        const statements = tweets.map(t => {
+            const edited = typeof t.timestamp === 'string' && t.timestamp.startsWith(EDITED_PREFIX);
+            // id 是发布时的 Date.now()，比显示文本更可靠
+            const createdAt = /^\d+$/.test(t.id) ? Number(t.id) : (edited ? null : parseDisplayTime(t.timestamp)) || 0;
+            if (!edited) {
+                return [`UPDATE tweets SET created_at = ? WHERE id = ?`, [createdAt, t.id]];
+            }
+            // 编辑时间无法解析时退回发布时间，至少保留“已编辑”的标记
+            const editedAt = parseDisplayTime(t.timestamp.slice(EDITED_PREFIX.length)) || createdAt;
+            return [`UPDATE tweets SET created_at = ?, edited_at = ?, timestamp = ? WHERE id = ?`,
+                [createdAt, editedAt, new Date(createdAt).toLocaleString(), t.id]];
+        });
+
+        runStatements(db, statements, cb);
+    });
+}
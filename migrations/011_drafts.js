@@ -0,0 +1,22 @@
+// 草稿与定时发布：
+// - drafts 保存尚未发布的推文（正文、填写的标签、已上传的媒体），媒体格式与 tweet_revisions.media_json 相同
+// - scheduled_at 为定时发布时间（毫秒时间戳），NULL 表示普通草稿；到期后由 server.js 中的定时任务发布为推文并删除草稿
+// - publish_error 记录定时发布失败的原因（例如账号被暂停使用），失败的草稿不再自动重试，作者修改后清空
+exports.up = (db, done) => {
+    db.exec(`
+        CREATE TABLE drafts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            author_uid TEXT NOT NULL,
+            content TEXT NOT NULL DEFAULT '',
+            tags_json TEXT NOT NULL DEFAULT '[]',
+            media_json TEXT NOT NULL DEFAULT '[]',
+            scheduled_at INTEGER,
+            publish_error TEXT,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            FOREIGN KEY (author_uid) REFERENCES users(nickname) ON UPDATE CASCADE ON DELETE CASCADE
+        );
+        CREATE INDEX idx_drafts_author ON drafts(author_uid, updated_at);
+        CREATE INDEX idx_drafts_scheduled ON drafts(scheduled_at) WHERE scheduled_at IS NOT NULL;
+    `, done);
+};
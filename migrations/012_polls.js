@@ -0,0 +1,34 @@
+// 推文投票：
+// - polls 每条推文最多一个投票，multiple 为 1 时可多选，closes_at 为截止时间（毫秒时间戳）
+// - poll_options 按 position 保存 2–4 个选项
+// - poll_votes 每个用户对每个选项最多一票；单选投票每个用户只有一条记录，由 server.js 校验
+exports.up = (db, done) => {
+    db.exec(`
+        CREATE TABLE polls (
+            tweet_id TEXT PRIMARY KEY,
+            multiple INTEGER NOT NULL DEFAULT 0,
+            closes_at INTEGER NOT NULL,
+            created_at INTEGER NOT NULL,
+            FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE poll_options (
+            tweet_id TEXT NOT NULL,
+            position INTEGER NOT NULL,
+            text TEXT NOT NULL,
+            PRIMARY KEY (tweet_id, position),
+            FOREIGN KEY (tweet_id) REFERENCES polls(tweet_id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE poll_votes (
+            tweet_id TEXT NOT NULL,
+            position INTEGER NOT NULL,
+            user_id TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            PRIMARY KEY (tweet_id, position, user_id),
+            FOREIGN KEY (tweet_id, position) REFERENCES poll_options(tweet_id, position) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(nickname) ON UPDATE CASCADE ON DELETE CASCADE
+        );
+        CREATE INDEX idx_poll_votes_user ON poll_votes(tweet_id, user_id);
+    `, done);
+};
@@ -0,0 +1,13 @@
+// 转发和引用：
+// - 转发 (repost_of) 是一条没有正文的推文，指向被转发的原推文，出现在转发者的信息流和个人主页中。
+//   原推文删除时转发一起删除；同一用户对同一条推文只能转发一次
+// - 引用 (quote_of) 是带有自己评论的普通推文，附带被引用的推文。被引用的推文删除后保留 quote_of，
+//   前端显示“推文不可用”，因此不设外键
+exports.up = (db, done) => {
+    db.exec(`
+        ALTER TABLE tweets ADD COLUMN repost_of TEXT REFERENCES tweets(id) ON DELETE CASCADE;
+        ALTER TABLE tweets ADD COLUMN quote_of TEXT;
+        CREATE UNIQUE INDEX idx_tweets_repost ON tweets(repost_of, author_uid) WHERE repost_of IS NOT NULL;
+        CREATE INDEX idx_tweets_quote ON tweets(quote_of) WHERE quote_of IS NOT NULL;
+    `, done);
+};
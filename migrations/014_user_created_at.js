@@ -0,0 +1,18 @@
+// 用户注册时间：
+// - users 增加 created_at（毫秒时间戳），用于个人主页显示加入时间
+// - 此前注册的用户没有记录，按最早的推文、评论或登录会话推算（推文和评论的 id 即创建时间）；都没有时为 NULL
+exports.up = (db, done) => {
+    db.exec(`
+        ALTER TABLE users ADD COLUMN created_at INTEGER;
+
+        UPDATE users SET created_at = (
+            SELECT MIN(v) FROM (
+                SELECT MIN(t.created_at) AS v FROM tweets t WHERE t.author_uid = users.nickname AND t.created_at > 0
+                UNION ALL
+                SELECT MIN(CAST(c.id AS INTEGER)) FROM comments c WHERE c.author_uid = users.nickname AND c.id GLOB '[0-9]*'
+                UNION ALL
+                SELECT MIN(s.created_at) FROM sessions s WHERE s.user_id = users.nickname
+            )
+        );
+    `, done);
+};
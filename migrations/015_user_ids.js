@@ -0,0 +1,322 @@
+// 用户 ID：
+// - users 增加不可变的整数主键 id，nickname 改为可修改的唯一显示名。此前所有表都用昵称引用用户，
+//   靠 ON UPDATE CASCADE 跟随改名；没有外键的 bookmarks 改名后丢失收藏，新用户注册旧昵称时还会继承这些收藏
+// - 引用用户的列全部改为 users(id)，列名不变。SQLite 不能修改外键，这些表按原结构重建，行的先后顺序
+//   (rowid) 保持不变，收藏列表等以 rowid 作为分页游标
+// - 早期数据中作者没有对应账号的推文和评论 (访客 ID)，author_uid 置为 NULL，原来的名字保存在 legacy_author 中；
+//   其他引用了不存在用户的记录直接丢弃，可为空的列置为 NULL
+// - moderation_actions 中针对用户的操作，target_id 改为用户 id
+// - nickname_history 记录改名前的昵称，宽限期内旧昵称的主页跳转到新昵称，其他人也不能注册或改用这个昵称
+// - 早期以明文存储的密码在这里统一哈希，之后登录只接受哈希过的密码
+const crypto = require('crypto');
+const { series } = require('./index');
+
+exports.foreignKeys = false;
+
+const userId = (column) => `(SELECT id FROM users_new WHERE nickname = ${column})`;
+
+// [表名, 新表的列和约束, 复制数据的 SELECT（从旧表 o 读取）]
+const TABLES = [
+    ['tweets', `
+            id TEXT PRIMARY KEY,
+            author_uid INTEGER,
+            legacy_author TEXT,
+            content TEXT,
+            timestamp TEXT,
+            hidden_at INTEGER,
+            created_at INTEGER,
+            edited_at INTEGER,
+            repost_of TEXT REFERENCES tweets(id) ON DELETE CASCADE,
+            quote_of TEXT,
+            FOREIGN KEY (author_uid) REFERENCES users(id)`,
+    `SELECT o.rowid, o.id, ${userId('o.author_uid')},
+            CASE WHEN ${userId('o.author_uid')} IS NULL THEN o.author_uid END,
+            o.content, o.timestamp, o.hidden_at, o.created_at, o.edited_at, o.repost_of, o.quote_of
+     FROM tweets o`],
+
+    ['comments', `
+            id TEXT PRIMARY KEY,
+            tweet_id TEXT,
+            author_uid INTEGER,
+            legacy_author TEXT,
+            text TEXT,
+            timestamp TEXT,
+            parent_id TEXT DEFAULT NULL,
+            hidden_at INTEGER,
+            FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE,
+            FOREIGN KEY (author_uid) REFERENCES users(id)`,
+    `SELECT o.rowid, o.id, o.tweet_id, ${userId('o.author_uid')},
+            CASE WHEN ${userId('o.author_uid')} IS NULL THEN o.author_uid END,
+            o.text, o.timestamp, o.parent_id, o.hidden_at
+     FROM comments o`],
+
+    ['bookmarks', `
+            user_id INTEGER NOT NULL,
+            tweet_id TEXT NOT NULL,
+            timestamp TEXT,
+            PRIMARY KEY (user_id, tweet_id),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE`,
+    `SELECT o.rowid, u.id, o.tweet_id, o.timestamp
+     FROM bookmarks o JOIN users_new u ON u.nickname = o.user_id`],
+
+    ['sessions', `
+            token_hash TEXT PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            created_at INTEGER NOT NULL,
+            expires_at INTEGER NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE`,
+    `SELECT o.rowid, o.token_hash, u.id, o.created_at, o.expires_at
+     FROM sessions o JOIN users_new u ON u.nickname = o.user_id`],
+
+    ['tweet_reactions', `
+            tweet_id TEXT NOT NULL,
+            user_id INTEGER NOT NULL,
+            type TEXT NOT NULL CHECK (type IN ('like', 'confused', 'omg')),
+            created_at INTEGER NOT NULL,
+            PRIMARY KEY (tweet_id, type, user_id),
+            FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE`,
+    `SELECT o.rowid, o.tweet_id, u.id, o.type, o.created_at
+     FROM tweet_reactions o JOIN users_new u ON u.nickname = o.user_id`],
+
+    ['comment_likes', `
+            comment_id TEXT NOT NULL,
+            user_id INTEGER NOT NULL,
+            created_at INTEGER NOT NULL,
+            PRIMARY KEY (comment_id, user_id),
+            FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE`,
+    `SELECT o.rowid, o.comment_id, u.id, o.created_at
+     FROM comment_likes o JOIN users_new u ON u.nickname = o.user_id`],
+
+    ['follows', `
+            follower_id INTEGER NOT NULL,
+            followee_id INTEGER NOT NULL,
+            created_at INTEGER NOT NULL,
+            PRIMARY KEY (follower_id, followee_id),
+            CHECK (follower_id <> followee_id),
+            FOREIGN KEY (follower_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (followee_id) REFERENCES users(id) ON DELETE CASCADE`,
+    `SELECT o.rowid, a.id, b.id, o.created_at
+     FROM follows o JOIN users_new a ON a.nickname = o.follower_id JOIN users_new b ON b.nickname = o.followee_id`],
+
+    ['notifications', `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            actor_id INTEGER NOT NULL,
+            type TEXT NOT NULL CHECK (type IN ('comment', 'reply', 'reaction', 'comment_like', 'bookmark')),
+            tweet_id TEXT,
+            comment_id TEXT,
+            reaction TEXT,
+            created_at INTEGER NOT NULL,
+            read_at INTEGER,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE,
+            FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE`,
+    `SELECT o.id, a.id, b.id, o.type, o.tweet_id, o.comment_id, o.reaction, o.created_at, o.read_at
+     FROM notifications o JOIN users_new a ON a.nickname = o.user_id JOIN users_new b ON b.nickname = o.actor_id`],
+
+    ['tweet_mentions', `
+            tweet_id TEXT NOT NULL,
+            user_id INTEGER NOT NULL,
+            PRIMARY KEY (tweet_id, user_id),
+            FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE`,
+    `SELECT o.rowid, o.tweet_id, u.id
+     FROM tweet_mentions o JOIN users_new u ON u.nickname = o.user_id`],
+
+    ['comment_mentions', `
+            comment_id TEXT NOT NULL,
+            user_id INTEGER NOT NULL,
+            PRIMARY KEY (comment_id, user_id),
+            FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE`,
+    `SELECT o.rowid, o.comment_id, u.id
+     FROM comment_mentions o JOIN users_new u ON u.nickname = o.user_id`],
+
+    ['reports', `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            reporter_id INTEGER NOT NULL,
+            target_type TEXT NOT NULL CHECK (target_type IN ('tweet', 'comment')),
+            target_id TEXT NOT NULL,
+            tweet_id TEXT NOT NULL,
+            target_author INTEGER,
+            content_snapshot TEXT,
+            reason TEXT NOT NULL CHECK (reason IN ('spam', 'harassment', 'illegal', 'sexual', 'other')),
+            details TEXT,
+            status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+            created_at INTEGER NOT NULL,
+            resolved_at INTEGER,
+            resolved_by INTEGER,
+            FOREIGN KEY (reporter_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (target_author) REFERENCES users(id) ON DELETE SET NULL,
+            FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL`,
+    `SELECT o.id, u.id, o.target_type, o.target_id, o.tweet_id, ${userId('o.target_author')},
+            o.content_snapshot, o.reason, o.details, o.status, o.created_at, o.resolved_at, ${userId('o.resolved_by')}
+     FROM reports o JOIN users_new u ON u.nickname = o.reporter_id`],
+
+    ['moderation_actions', `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            moderator_id INTEGER,
+            action TEXT NOT NULL CHECK (action IN ('hide', 'restore', 'delete', 'dismiss', 'suspend', 'ban', 'reinstate')),
+            target_type TEXT NOT NULL CHECK (target_type IN ('tweet', 'comment', 'user')),
+            target_id TEXT NOT NULL,
+            note TEXT,
+            snapshot TEXT,
+            created_at INTEGER NOT NULL,
+            FOREIGN KEY (moderator_id) REFERENCES users(id) ON DELETE SET NULL`,
+    `SELECT o.id, ${userId('o.moderator_id')}, o.action, o.target_type,
+            CASE WHEN o.target_type = 'user' THEN COALESCE(CAST(${userId('o.target_id')} AS TEXT), o.target_id) ELSE o.target_id END,
+            o.note, o.snapshot, o.created_at
+     FROM moderation_actions o`],
+
+    ['conversations', `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_a INTEGER,
+            user_b INTEGER,
+            created_at INTEGER NOT NULL,
+            last_message_id INTEGER,
+            FOREIGN KEY (user_a) REFERENCES users(id) ON DELETE SET NULL,
+            FOREIGN KEY (user_b) REFERENCES users(id) ON DELETE SET NULL`,
+    `SELECT o.id, ${userId('o.user_a')}, ${userId('o.user_b')}, o.created_at, o.last_message_id
+     FROM conversations o`],
+
+    ['messages', `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            conversation_id INTEGER NOT NULL,
+            sender_id INTEGER,
+            text TEXT NOT NULL DEFAULT '',
+            created_at INTEGER NOT NULL,
+            read_at INTEGER,
+            FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+            FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE SET NULL`,
+    `SELECT o.id, o.conversation_id, ${userId('o.sender_id')}, o.text, o.created_at, o.read_at
+     FROM messages o`],
+
+    ['drafts', `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            author_uid INTEGER NOT NULL,
+            content TEXT NOT NULL DEFAULT '',
+            tags_json TEXT NOT NULL DEFAULT '[]',
+            media_json TEXT NOT NULL DEFAULT '[]',
+            scheduled_at INTEGER,
+            publish_error TEXT,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            FOREIGN KEY (author_uid) REFERENCES users(id) ON DELETE CASCADE`,
+    `SELECT o.id, u.id, o.content, o.tags_json, o.media_json, o.scheduled_at, o.publish_error, o.created_at, o.updated_at
+     FROM drafts o JOIN users_new u ON u.nickname = o.author_uid`],
+
+    ['poll_votes', `
+            tweet_id TEXT NOT NULL,
+            position INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            created_at INTEGER NOT NULL,
+            PRIMARY KEY (tweet_id, position, user_id),
+            FOREIGN KEY (tweet_id, position) REFERENCES poll_options(tweet_id, position) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE`,
+    `SELECT o.rowid, o.tweet_id, o.position, u.id, o.created_at
+     FROM poll_votes o JOIN users_new u ON u.nickname = o.user_id`]
+];
+
+// 重建后需要重新创建的索引和触发器（随旧表一起删除）
+const INDEXES = `
+    CREATE INDEX idx_tweets_author ON tweets(author_uid);
+    CREATE UNIQUE INDEX idx_tweets_repost ON tweets(repost_of, author_uid) WHERE repost_of IS NOT NULL;
+    CREATE INDEX idx_tweets_quote ON tweets(quote_of) WHERE quote_of IS NOT NULL;
+    CREATE INDEX idx_comments_tweet ON comments(tweet_id);
+    CREATE INDEX idx_tweet_reactions_user ON tweet_reactions(user_id);
+    CREATE INDEX idx_comment_likes_user ON comment_likes(user_id);
+    CREATE INDEX idx_follows_followee ON follows(followee_id);
+    CREATE INDEX idx_notifications_user ON notifications(user_id, id);
+    CREATE INDEX idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+    CREATE INDEX idx_tweet_mentions_user ON tweet_mentions(user_id);
+    CREATE INDEX idx_comment_mentions_user ON comment_mentions(user_id);
+    CREATE INDEX idx_reports_target ON reports(target_type, target_id);
+    CREATE UNIQUE INDEX idx_reports_open ON reports(reporter_id, target_type, target_id) WHERE status = 'open';
+    CREATE INDEX idx_moderation_actions_target ON moderation_actions(target_type, target_id);
+    CREATE UNIQUE INDEX idx_conversations_pair ON conversations(MIN(user_a, user_b), MAX(user_a, user_b));
+    CREATE INDEX idx_conversations_user_a ON conversations(user_a, last_message_id);
+    CREATE INDEX idx_conversations_user_b ON conversations(user_b, last_message_id);
+    CREATE INDEX idx_messages_conversation ON messages(conversation_id, id);
+    CREATE INDEX idx_messages_unread ON messages(conversation_id) WHERE read_at IS NULL;
+    CREATE INDEX idx_drafts_author ON drafts(author_uid, updated_at);
+    CREATE INDEX idx_drafts_scheduled ON drafts(scheduled_at) WHERE scheduled_at IS NOT NULL;
+    CREATE INDEX idx_poll_votes_user ON poll_votes(tweet_id, user_id);
+
+    CREATE TRIGGER tweets_fts_after_delete AFTER DELETE ON tweets BEGIN
+        DELETE FROM tweets_fts WHERE tweet_id = old.id;
+    END;
+`;
+
+exports.up = (db, done) => {
+    // SELECT 的第一列是旧表的 rowid；有 INTEGER 主键的表第一列就是主键。自增序列沿用旧表的值，已删除的 id 不会被重新使用
+    const rebuild = TABLES.map(([table, columns, select]) => {
+        const names = columns.split('\n')
+            .map(line => line.trim().match(/^([a-z_]+) (TEXT|INTEGER)/))
+            .filter(m => m)
+            .map(m => m[1]);
+        if (!/\bINTEGER PRIMARY KEY\b/.test(columns)) names.unshift('rowid');
+        return `
+            CREATE TABLE ${table}_new (${columns}
+            );
+            INSERT INTO ${table}_new (${names.join(', ')})
+                ${select} ORDER BY o.rowid;${/\bAUTOINCREMENT\b/.test(columns) ? `
+            UPDATE sqlite_sequence SET seq = (SELECT MAX(seq) FROM sqlite_sequence WHERE name IN ('${table}', '${table}_new'))
+                WHERE name = '${table}_new';` : ''}
+            DROP TABLE ${table};
+            ALTER TABLE ${table}_new RENAME TO ${table};`;
+    }).join('\n');
+
+    db.exec(`
+        CREATE TABLE users_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            nickname TEXT NOT NULL UNIQUE,
+            password TEXT NOT NULL,
+            bio TEXT DEFAULT '这个人很懒，什么都没写...',
+            avatar TEXT,
+            banner TEXT,
+            is_admin INTEGER DEFAULT 0,
+            suspended_until INTEGER,
+            banned_at INTEGER,
+            created_at INTEGER
+        );
+        INSERT INTO users_new (nickname, password, bio, avatar, banner, is_admin, suspended_until, banned_at, created_at)
+            SELECT nickname, password, bio, avatar, banner, is_admin, suspended_until, banned_at, created_at
+            FROM users ORDER BY rowid;
+
+        ${rebuild}
+
+        DROP TABLE users;
+        ALTER TABLE users_new RENAME TO users;
+
+        ${INDEXES}
+
+        CREATE TABLE nickname_history (
+            nickname TEXT PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            released_at INTEGER NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+        CREATE INDEX idx_nickname_history_user ON nickname_history(user_id);
+    `, (err) => {
+        if (err) return done(err);
+        hashPlaintextPasswords(db, done);
+    });
+};
+
+// 哈希格式与 server.js 的 hashPassword 相同：scrypt$<盐>$<哈希>
+function hashPlaintextPasswords(db, done) {
+    db.all(`SELECT id, password FROM users WHERE password NOT LIKE 'scrypt$%'`, (err, rows) => {
+        if (err) return done(err);
+        series(rows.map(row => (next) => {
+            const salt = crypto.randomBytes(16).toString('hex');
+            crypto.scrypt(row.password, salt, 64, (err, derived) => {
+                if (err) return next(err);
+                db.run(`UPDATE users SET password = ? WHERE id = ?`, [`scrypt$${salt}$${derived.toString('hex')}`, row.id], next);
+            });
+        }), done);
+    });
+}
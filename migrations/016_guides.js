@@ -0,0 +1,71 @@
+const { runStatements } = require('./index');
+
+// 多份新手引导，带版本历史：
+// - guides 每份引导一行，slug 为页面中使用的名称 (welcome: 主站首次进入时的引导，login: 登录页的展示轮播)，
+//   published_version 为当前线上的版本，回滚时改为历史版本
+// - guide_versions 保存每个版本的步骤 (格式与原 site_config.beginner_guide 的 steps 相同)。
+//   published_at 为 NULL 的是草稿，每份引导最多一个草稿，版本号在创建草稿时分配，草稿配图保存在 uploads/guides/<slug>/v<版本号>
+// - audience 为 new 时只展示给没看过这份引导的用户，为 all 时看过旧版本的用户也会再看到一次
+// - guide_views 记录每个用户看过的最新版本，代替浏览器 localStorage 中的 hasSeenOnboarding_<昵称>
+// 原来的 beginner_guide 配置作为两份引导的第 1 个版本发布，配图仍在 uploads/guide 中
+exports.up = (db, done) => {
+    db.exec(`
+        CREATE TABLE guides (
+            slug TEXT PRIMARY KEY,
+            title TEXT NOT NULL,
+            published_version INTEGER,
+            created_at INTEGER NOT NULL
+        );
+
+        CREATE TABLE guide_versions (
+            guide_slug TEXT NOT NULL,
+            version INTEGER NOT NULL,
+            steps_json TEXT NOT NULL DEFAULT '[]',
+            audience TEXT NOT NULL DEFAULT 'new',
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            published_at INTEGER,
+            published_by INTEGER,
+            PRIMARY KEY (guide_slug, version),
+            FOREIGN KEY (guide_slug) REFERENCES guides(slug) ON DELETE CASCADE,
+            FOREIGN KEY (published_by) REFERENCES users(id) ON DELETE SET NULL
+        );
+        CREATE UNIQUE INDEX idx_guide_versions_draft ON guide_versions(guide_slug) WHERE published_at IS NULL;
+
+        CREATE TABLE guide_views (
+            user_id INTEGER NOT NULL,
+            guide_slug TEXT NOT NULL,
+            version INTEGER NOT NULL,
+            seen_at INTEGER NOT NULL,
+            PRIMARY KEY (user_id, guide_slug),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (guide_slug) REFERENCES guides(slug) ON DELETE CASCADE
+        );
+    `, (err) => {
+        if (err) return done(err);
+
+        db.get(`SELECT value FROM site_config WHERE key = 'beginner_guide'`, (err, row) => {
+            if (err) return done(err);
+
+            let steps = [];
+            try {
+                steps = (row && JSON.parse(row.value).steps) || [];
+            } catch (e) {
+                // 配置已损坏时按没有引导处理
+            }
+
+            const now = Date.now();
+            const statements = [];
+            [['welcome', '新用户引导'], ['login', '登录页展示']].forEach(([slug, title]) => {
+                statements.push([`INSERT INTO guides (slug, title, published_version, created_at) VALUES (?, ?, ?, ?)`,
+                    [slug, title, steps.length > 0 ? 1 : null, now]]);
+                if (steps.length > 0) {
+                    statements.push([`INSERT INTO guide_versions (guide_slug, version, steps_json, audience, created_at, updated_at, published_at)
+                                      VALUES (?, 1, ?, 'new', ?, ?, ?)`, [slug, JSON.stringify(steps), now, now, now]]);
+                }
+            });
+            statements.push([`DELETE FROM site_config WHERE key = 'beginner_guide'`]);
+            runStatements(db, statements, done);
+        });
+    });
+};
@@ -0,0 +1,27 @@
+// 访问统计：
+// - tweet_views 记录推文详情的浏览，每个访客每天对同一条推文只记一行，浏览量即行数
+// - daily_active 记录每天访问过接口的访客，用于统计日活
+// 访客标识 (viewer / actor) 为 user:<用户 id> 或前端生成的游客 ID (visitor_ 开头)。
+// 注销账号后保留这些记录，历史统计不受影响；day 为服务器本地时区的日期 (YYYY-MM-DD)。
+// 新用户、发帖、评论和互动数按各表的创建时间统计，不需要额外的表
+exports.up = (db, done) => {
+    db.exec(`
+        CREATE TABLE tweet_views (
+            tweet_id TEXT NOT NULL,
+            viewer TEXT NOT NULL,
+            day TEXT NOT NULL,
+            PRIMARY KEY (tweet_id, day, viewer),
+            FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE
+        );
+        CREATE INDEX idx_tweet_views_day ON tweet_views(day);
+
+        CREATE TABLE daily_active (
+            day TEXT NOT NULL,
+            actor TEXT NOT NULL,
+            PRIMARY KEY (day, actor)
+        );
+
+        CREATE INDEX idx_tweets_created_at ON tweets(created_at);
+        CREATE INDEX idx_tweet_reactions_created_at ON tweet_reactions(created_at);
+    `, done);
+};
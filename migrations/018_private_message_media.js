@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { runStatements, series } = require('./index');
+
+// 私信附件不再放在公开的 uploads 下：新附件保存在 privateUploadDir，地址为 /api/message-media/...，
+// 由接口检查读取者是会话的一方后返回。这里把已有的附件文件移到 privateUploadDir 并改写地址，
+// 并为按地址查找附件加上索引
+const OLD_PREFIX = '/uploads/';
+const NEW_PREFIX = '/api/message-media/';
+
+// 把 uploads 下的文件移到私信附件目录的相同相对路径，文件不存在时跳过
+function moveFile(url, cb) {
+    const rel = decodeURIComponent(url.slice(OLD_PREFIX.length));
+    const from = path.resolve(config.uploadDir, rel);
+    const to = path.resolve(config.privateUploadDir, rel);
+    if (!from.startsWith(path.resolve(config.uploadDir) + path.sep) || !to.startsWith(path.resolve(config.privateUploadDir) + path.sep)) {
+        return cb(null);
+    }
+
+    fs.mkdir(path.dirname(to), { recursive: true }, (err) => {
+        if (err) return cb(err);
+        fs.rename(from, to, (err) => {
+            if (!err || err.code === 'ENOENT') return cb(null);
+            if (err.code !== 'EXDEV') return cb(err);
+            // 两个目录不在同一文件系统上时改为复制后删除
+            fs.copyFile(from, to, (err) => {
+                if (err) return cb(err);
+                fs.unlink(from, cb);
+            });
+        });
+    });
+}
+
+exports.up = (db, done) => {
+    db.all(`SELECT url FROM message_media WHERE substr(url, 1, ?) = ?
+            UNION SELECT thumb_url FROM message_media WHERE substr(thumb_url, 1, ?) = ?`,
+    [OLD_PREFIX.length, OLD_PREFIX, OLD_PREFIX.length, OLD_PREFIX], (err, rows) => {
+        if (err) return done(err);
+
+        series(rows.map(row => (next) => moveFile(row.url, next)), (err) => {
+            if (err) return done(err);
+
+            runStatements(db, [
+                ...['url', 'thumb_url'].map(column => [
+                    `UPDATE message_media SET ${column} = ? || substr(${column}, ?) WHERE substr(${column}, 1, ?) = ?`,
+                    [NEW_PREFIX, OLD_PREFIX.length + 1, OLD_PREFIX.length, OLD_PREFIX]
+                ]),
+                [`CREATE INDEX idx_message_media_url ON message_media(url)`],
+                [`CREATE INDEX idx_message_media_thumb_url ON message_media(thumb_url)`]
+            ], done);
+        });
+    });
+};
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+
+// === 数据库迁移 ===
+// 迁移文件放在本目录，命名为 <版本号>_<说明>.js，导出 up(db, done)。
+// runMigrations 按版本号顺序执行 schema_version 表中尚未记录的迁移，每个迁移在单独的事务中执行，
+// 失败时回滚并停止。已发布的迁移不要再修改，表结构有变化时新增迁移文件。
+// 需要重建被其他表引用的表时，迁移文件导出 foreignKeys = false：执行期间关闭外键约束（PRAGMA foreign_keys
+// 在事务内不能修改），避免 DROP TABLE 触发级联删除；提交前用 foreign_key_check 检查，有违反约束的数据时回滚。
+
+// 读取本目录下的迁移文件，按版本号排序
+function loadMigrations() {
+    return fs.readdirSync(__dirname)
+        .map(file => file.match(/^(\d+)_(.+)\.js$/))
+        .filter(m => m)
+        .map(m => ({ version: parseInt(m[1], 10), name: m[2], file: m[0] }))
+        .sort((a, b) => a.version - b.version);
+}
+
+// 依次执行 [sql, params] 语句，遇到错误立即停止
+function runStatements(db, statements, cb) {
+    let i = 0;
+    const next = (err) => {
+        if (err || i >= statements.length) return cb(err || null);
+        const [sql, params] = statements[i++];
+        db.run(sql, params || [], next);
+    };
+    next();
+}
+
+// 依次执行异步任务 task(cb)，遇到错误立即停止
+function series(tasks, cb) {
+    let i = 0;
+    const next = (err) => {
+        if (err || i >= tasks.length) return cb(err || null);
+        tasks[i++](next);
+    };
+    next();
+}
+
+// 在一个事务中依次执行 [sql, params] 语句，任一语句失败时回滚
+function runTransaction(db, statements, cb) {
+    db.run('BEGIN', (err) => {
+        if (err) return cb(err);
+        runStatements(db, statements, (err) => {
+            if (err) return db.run('ROLLBACK', () => cb(err));
+            db.run('COMMIT', (err) => {
+                if (err) return db.run('ROLLBACK', () => cb(err));
+                cb(null);
+            });
+        });
+    });
+}
+
+// 旧数据库可能缺少后来加入的列，缺失时补上
+function addColumnIfMissing(db, table, column, definition, cb) {
+    db.all(`PRAGMA table_info(${table})`, (err, cols) => {
+        if (err) return cb(err);
+        if (cols.some(c => c.name === column)) return cb(null);
+        db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, cb);
+    });
+}
+
+// 外键约束被关闭时，检查迁移后的数据是否仍然满足约束
+function checkForeignKeys(db, cb) {
+    db.all('PRAGMA foreign_key_check', (err, rows) => {
+        if (err) return cb(err);
+        if (rows.length === 0) return cb(null);
+        const tables = [...new Set(rows.map(r => `${r.table} -> ${r.parent}`))].join(', ');
+        cb(new Error(`迁移后有 ${rows.length} 条数据违反外键约束 (${tables})`));
+    });
+}
+
+// 关闭外键约束执行 task(done)，结束后恢复原来的设置
+function withoutForeignKeys(db, task, cb) {
+    db.get('PRAGMA foreign_keys', (err, row) => {
+        if (err) return cb(err);
+        const enabled = row.foreign_keys;
+        db.run('PRAGMA foreign_keys = OFF', (err) => {
+            if (err) return cb(err);
+            task((taskErr) => {
+                db.run(`PRAGMA foreign_keys = ${enabled ? 'ON' : 'OFF'}`, (err) => cb(taskErr || err || null));
+            });
+        });
+    });
+}
+
+function runMigration(db, migration, cb) {
+    const { up, foreignKeys = true } = require(path.join(__dirname, migration.file));
+
+    const apply = (done) => {
+        const fail = (err) => {
+            db.run('ROLLBACK', () => done(new Error(`${migration.file}: ${err.message}`)));
+        };
+
+        db.run('BEGIN', (err) => {
+            if (err) return done(err);
+            up(db, (err) => {
+                if (err) return fail(err);
+                const check = foreignKeys ? (next) => next(null) : (next) => checkForeignKeys(db, next);
+                check((err) => {
+                    if (err) return fail(err);
+                    db.run(`INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)`,
+                        [migration.version, migration.name, Date.now()], (err) => {
+                            if (err) return fail(err);
+                            db.run('COMMIT', (err) => {
+                                if (err) return fail(err);
+                                console.log(`已执行数据库迁移: ${migration.file}`);
+                                done(null);
+                            });
+                        });
+                });
+            });
+        });
+    };
+
+    if (foreignKeys) return apply(cb);
+    withoutForeignKeys(db, apply, cb);
+}
+
+// 执行所有未执行的迁移，cb(err, 本次执行的迁移数量)
+function runMigrations(db, cb) {
+    db.run(`CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at INTEGER NOT NULL
+    )`, (err) => {
+        if (err) return cb(err);
+
+        db.all(`SELECT version FROM schema_version`, (err, rows) => {
+            if (err) return cb(err);
+
+            const applied = new Set(rows.map(r => r.version));
+            const pending = loadMigrations().filter(m => !applied.has(m.version));
+            series(pending.map(m => (next) => runMigration(db, m, next)), (err) => cb(err, pending.length));
+        });
+    });
+}
+
+module.exports = { runMigrations, runStatements, runTransaction, series, addColumnIfMissing };
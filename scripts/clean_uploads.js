@@ -0,0 +1,132 @@
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const path = require('path');
+const { runMigrations } = require('../migrations');
+const config = require('../config');
+
+const dbPath = config.dbPath;
+// 数据库中保存的上传文件地址前缀（相对地址，见 server.js 中的 uploadUrl）及对应的目录，私信附件单独存放
+const uploadRoots = [
+    { prefix: '/uploads/', dir: config.uploadDir },
+    { prefix: '/api/message-media/', dir: config.privateUploadDir }
+];
+
+// 用法: node scripts/clean_uploads.js [--dry-run] [--grace-hours=24]
+// 删除 uploads 和 private_uploads 下不再被任何推文（包括编辑历史中的旧版本）、草稿、私信附件、头像、背景或新手引导 (包括历史版本和草稿) 引用的文件，
+// 例如被替换的头像/背景、从引导草稿中移除的配图。
+// 最近 grace-hours 小时内修改过的文件不删除，避免误删正在上传、尚未写入数据库的文件
+const dryRun = process.argv.includes('--dry-run');
+const graceArg = process.argv.find(arg => arg.startsWith('--grace-hours='));
+const graceHours = graceArg ? Number(graceArg.split('=')[1]) : 24;
+
+// 被引用的文件，统一为绝对路径
+function collectReferences(db, cb) {
+    const refs = new Set();
+    const add = (url) => {
+        if (typeof url !== 'string') return;
+        const root = uploadRoots.find(r => url.startsWith(r.prefix));
+        if (root) refs.add(path.resolve(root.dir, decodeURIComponent(url.slice(root.prefix.length))));
+    };
+
+    db.all(`SELECT url, thumb_url FROM tweet_media`, (err, media) => {
+        if (err) return cb(err);
+        media.forEach(m => { add(m.url); add(m.thumb_url); });
+
+        db.all(`SELECT url, thumb_url FROM message_media`, (err, attachments) => {
+            if (err) return cb(err);
+            attachments.forEach(m => { add(m.url); add(m.thumb_url); });
+
+            db.all(`SELECT avatar, banner FROM users`, (err, users) => {
+                if (err) return cb(err);
+                users.forEach(u => { add(u.avatar); add(u.banner); });
+
+                db.all(`SELECT media_json FROM tweet_revisions UNION ALL SELECT media_json FROM drafts`, (err, saved) => {
+                    if (err) return cb(err);
+                    try {
+                        saved.forEach(v => JSON.parse(v.media_json).forEach(m => { add(m.url); add(m.thumbUrl); }));
+                    } catch (e) {
+                        // 编辑历史或草稿损坏时无法确定引用了哪些文件，停止清理
+                        return cb(new Error('推文编辑历史或草稿中的媒体记录无法解析，已停止清理'));
+                    }
+
+                    db.all(`SELECT steps_json FROM guide_versions`, (err, versions) => {
+                        if (err) return cb(err);
+                        try {
+                            versions.forEach(v => JSON.parse(v.steps_json).forEach(step => add(step.imageUrl)));
+                        } catch (e) {
+                            // 引导配置损坏时保守处理：保留所有引导配图
+                            return cb(new Error('新手引导配置无法解析，已停止清理'));
+                        }
+                        cb(null, refs);
+                    });
+                });
+            });
+        });
+    });
+}
+
+function listFiles(dir, base = '') {
+    return fs.readdirSync(path.join(dir, base), { withFileTypes: true }).flatMap(entry => {
+        const rel = path.join(base, entry.name);
+        return entry.isDirectory() ? listFiles(dir, rel) : [rel];
+    });
+}
+
+function cleanUploads() {
+    if (!(graceHours >= 0)) {
+        console.error('用法: node scripts/clean_uploads.js [--dry-run] [--grace-hours=24]');
+        process.exit(1);
+    }
+    const dirs = uploadRoots.map(r => r.dir).filter(dir => fs.existsSync(dir));
+    if (!dirs.length) {
+        console.log('上传目录不存在，无需清理');
+        return;
+    }
+
+    const db = new sqlite3.Database(dbPath);
+
+    runMigrations(db, (err) => {
+        if (err) {
+            console.error('数据库迁移失败:', err.message);
+            process.exitCode = 1;
+            return db.close();
+        }
+
+        collectReferences(db, (err, refs) => {
+            db.close();
+            if (err) {
+                console.error('读取引用失败:', err.message);
+                process.exitCode = 1;
+                return;
+            }
+
+            const cutoff = Date.now() - graceHours * 60 * 60 * 1000;
+            let removed = 0;
+            let freed = 0;
+            dirs.flatMap(dir => listFiles(dir).map(rel => path.resolve(dir, rel))).forEach(fp => {
+                if (refs.has(fp)) return;
+                const stat = fs.statSync(fp);
+                if (stat.mtimeMs > cutoff) return;
+
+                if (!dryRun) {
+                    try {
+                        fs.unlinkSync(fp);
+                    } catch (e) {
+                        console.error(`删除 ${fp} 失败:`, e.message);
+                        return;
+                    }
+                }
+                removed++;
+                freed += stat.size;
+                console.log(`${dryRun ? '[将删除]' : '[已删除]'} ${fp}`);
+            });
+
+            const size = (freed / 1024 / 1024).toFixed(1);
+            console.log(dryRun
+                ? `共 ${removed} 个未引用的文件 (${size} MB)，去掉 --dry-run 后删除`
+                : `已删除 ${removed} 个未引用的文件，释放 ${size} MB`);
+        });
+    });
+}
+
+cleanUploads();
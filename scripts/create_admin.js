@@ -0,0 +1,43 @@
+const sqlite3 = require('sqlite3').verbose();
+const { runMigrations } = require('../migrations');
+const config = require('../config');
+
+const dbPath = config.dbPath;
+
+// 用法: node scripts/create_admin.js <昵称> [--revoke]
+// 将已注册的用户设为管理员（或撤销），用于创建第一个管理员账号
+const nickname = process.argv[2];
+const revoke = process.argv.includes('--revoke');
+
+function setAdmin() {
+    if (!nickname || nickname.startsWith('--')) {
+        console.error('用法: node scripts/create_admin.js <昵称> [--revoke]');
+        process.exit(1);
+    }
+
+    const db = new sqlite3.Database(dbPath);
+
+    // 兼容尚未启动过新版 server.js 的旧数据库
+    runMigrations(db, (err) => {
+        if (err) {
+            console.error('数据库迁移失败:', err.message);
+            process.exitCode = 1;
+            return db.close();
+        }
+
+        db.run(`UPDATE users SET is_admin = ? WHERE nickname = ?`, [revoke ? 0 : 1, nickname], function (err) {
+            if (err) {
+                console.error('更新失败:', err.message);
+                process.exitCode = 1;
+            } else if (this.changes === 0) {
+                console.error(`用户 ${nickname} 不存在，请先在登录页注册该账号`);
+                process.exitCode = 1;
+            } else {
+                console.log(revoke ? `已撤销 ${nickname} 的管理员权限` : `已将 ${nickname} 设为管理员`);
+            }
+            db.close();
+        });
+    });
+}
+
+setAdmin();
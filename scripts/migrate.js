@@ -0,0 +1,24 @@
+const sqlite3 = require('sqlite3').verbose();
+const { runMigrations } = require('../migrations');
+const config = require('../config');
+
+const dbPath = config.dbPath;
+
+// 用法: node scripts/migrate.js
+// 手动执行尚未执行的数据库迁移（server.js 启动时也会自动执行），用于升级前备份后单独验证
+function migrate() {
+    const db = new sqlite3.Database(dbPath);
+    db.run('PRAGMA foreign_keys = ON');
+
+    runMigrations(db, (err, count) => {
+        if (err) {
+            console.error('数据库迁移失败:', err.message);
+            process.exitCode = 1;
+        } else {
+            console.log(count > 0 ? `已执行 ${count} 个迁移` : '数据库已是最新版本');
+        }
+        db.close();
+    });
+}
+
+migrate();
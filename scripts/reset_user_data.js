@@ -1,20 +1,32 @@
 const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
 const path = require('path');
+const config = require('../config');
 
-const dbPath = './database.sqlite';
-const uploadsDir = './uploads';
-const guideDirName = 'guide';
+const dbPath = config.dbPath;
+const uploadsDir = config.uploadDir;
+const privateUploadsDir = config.privateUploadDir;
+// 引导配图目录 (guide 为迁移前上传的旧配图)
+const guideDirNames = ['guide', 'guides'];
 
 async function resetData() {
     console.log('--- 开始清理用户数据 ---');
 
     const db = new sqlite3.Database(dbPath);
 
-    const tablesToClear = ['bookmarks', 'comments', 'tweets', 'users'];
+    // 先清子表再清父表（全文索引由 tweets 上的触发器同步清理）
+    const tablesToClear = [
+        'sessions', 'notifications', 'follows', 'bookmarks', 'comment_likes', 'comment_mentions', 'comment_tags',
+        'tweet_mentions', 'tweet_reactions', 'tweet_reaction_legacy_counts', 'tweet_tags', 'tweet_media', 'tweet_revisions',
+        'drafts', 'poll_votes', 'poll_options', 'polls',
+        'reports', 'moderation_actions', 'message_media', 'messages', 'conversations', 'comments', 'tweet_views', 'tweets', 'daily_active', 'guide_views', 'nickname_history', 'users'
+    ];
 
     db.serialize(() => {
-        // 1. 清理数据库
+        // 1. 清理数据库 (保留引导，只清除发布者)
+        db.run(`UPDATE guide_versions SET published_by = NULL`, (err) => {
+            if (err) console.error('清除引导发布者失败:', err.message);
+        });
         tablesToClear.forEach(table => {
             db.run(`DELETE FROM ${table}`, (err) => {
                 if (err) {
@@ -26,21 +38,21 @@ async function resetData() {
         });
 
         // 验证引导配置是否还在
-        db.get(`SELECT COUNT(*) as count FROM site_config WHERE key = 'beginner_guide'`, (err, row) => {
+        db.get(`SELECT COUNT(*) as count FROM guide_versions`, (err, row) => {
             if (err) {
                 console.error('验证引导配置失败:', err.message);
             } else {
-                console.log(`引导配置状态: ${row.count > 0 ? '已保留 (存在)' : '未发现 (可能本来就没有)'}`);
+                console.log(`引导配置状态: ${row.count > 0 ? `已保留 (${row.count} 个版本)` : '未发现 (可能本来就没有)'}`);
             }
         });
     });
 
-    // 2. 清理文件系统 (保留 uploads/guide)
+    // 2. 清理文件系统 (保留引导配图)
     if (fs.existsSync(uploadsDir)) {
         const items = fs.readdirSync(uploadsDir);
         items.forEach(item => {
             const itemPath = path.join(uploadsDir, item);
-            if (item === guideDirName) {
+            if (guideDirNames.includes(item)) {
                 console.log(`[保留] 引导图片目录: ${itemPath}`);
             } else {
                 try {
@@ -52,6 +64,14 @@ async function resetData() {
             }
         });
     }
+    if (fs.existsSync(privateUploadsDir)) {
+        try {
+            fs.rmSync(privateUploadsDir, { recursive: true, force: true });
+            console.log(`[已删除] 私信附件: ${privateUploadsDir}`);
+        } catch (err) {
+            console.error(`删除 ${privateUploadsDir} 失败:`, err.message);
+        }
+    }
 
     db.close((err) => {
         if (err) {
@@ -4,72 +4,264 @@ const bodyParser = require('body-parser');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const sqlite3 = require('sqlite3').verbose();
+const sharp = require('sharp');
+const AdmZip = require('adm-zip');
+const { runMigrations, runStatements, runTransaction, series } = require('./migrations');
+const config = require('./config');
+const markdown = require('./markdown');
 
 const app = express();
-app.use(cors());
+// 部署在反向代理后面时按 X-Forwarded-For 识别访问者 IP (TRUST_PROXY)
+app.set('trust proxy', config.trustProxy);
+// 只允许配置的来源跨域访问接口 (CORS_ORIGINS)，* 表示不限制
+app.use(cors({ origin: config.corsOrigins.includes('*') ? true : config.corsOrigins, exposedHeaders: ['Retry-After'] }));
 app.use(bodyParser.json());
 
-// 确保上传目录存在
-if (!fs.existsSync('./uploads')) {
-    fs.mkdirSync('./uploads');
+// 会话有效期：30 天
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// 确保上传目录存在（.tmp 存放尚未校验的上传文件，昵称不能以 . 开头，不会与用户目录冲突）
+const UPLOAD_DIR = config.uploadDir;
+const UPLOAD_TMP_DIR = path.join(UPLOAD_DIR, '.tmp');
+if (!fs.existsSync(UPLOAD_TMP_DIR)) {
+    fs.mkdirSync(UPLOAD_TMP_DIR, { recursive: true });
+}
+// 私信附件放在 uploads 之外，不经静态文件服务公开
+const PRIVATE_UPLOAD_DIR = config.privateUploadDir;
+if (!fs.existsSync(PRIVATE_UPLOAD_DIR)) {
+    fs.mkdirSync(PRIVATE_UPLOAD_DIR, { recursive: true });
 }
 
 // --- Multer 配置 ---
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        // 分用户的文件夹存储逻辑
-        const uid = req.body.uid || 'guest';
-        const dir = `./uploads/${uid}/`;
-        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-        cb(null, dir);
-    },
-    filename: (req, file, cb) => {
-        file.originalname = Buffer.from(file.originalname, "latin1").toString("utf8");
-        cb(null, Date.now() + '-' + file.originalname);
-    }
-});
-
-// 新手引导图片的特殊存储配置
-const guideStorage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const dir = './uploads/guide/';
-        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-        cb(null, dir);
-    },
-    filename: (req, file, cb) => {
-        const pageIndex = req.query.index || 'unknown';
-        const ext = path.extname(file.originalname).toLowerCase() || '.png';
-        const filename = `guidepage${pageIndex}${ext}`;
-
-        // 删除旧文件，防止同一页替换不同后缀时堆积垃圾文件
-        const dir = './uploads/guide/';
-        if (fs.existsSync(dir)) {
-            const files = fs.readdirSync(dir);
-            for (const f of files) {
-                if (f.startsWith(`guidepage${pageIndex}.`)) {
-                    fs.unlinkSync(path.join(dir, f));
-                }
-            }
-        }
-        cb(null, filename);
-    }
+// 文件先以随机名写入临时目录，校验通过后再由 receiveMedia 转存到 uploads/<目录>/，
+// 最终文件名和扩展名都由服务器决定，与客户端提供的文件名无关
+const uploadTmpStorage = multer.diskStorage({
+    destination: UPLOAD_TMP_DIR,
+    filename: (req, file, cb) => cb(null, crypto.randomBytes(16).toString('hex'))
 });
 const upload = multer({
-    storage: storage,
+    storage: uploadTmpStorage,
     limits: { fileSize: 100 * 1024 * 1024 }
 });
 
-const guideUpload = multer({
-    storage: guideStorage,
-    limits: { fileSize: 100 * 1024 * 1024 }
+// --- 上传文件校验与处理 ---
+
+// 允许上传的格式，按文件头 (magic bytes) 识别，不信任扩展名和客户端声明的 MIME
+const MP4_BRANDS = ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'dash', 'mmp4'];
+const MEDIA_FORMATS = [
+    { format: 'jpeg', kind: 'image', ext: '.jpg', test: b => b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF },
+    { format: 'png', kind: 'image', ext: '.png', test: b => b.toString('hex', 0, 8) === '89504e470d0a1a0a' },
+    { format: 'gif', kind: 'image', ext: '.gif', test: b => ['GIF87a', 'GIF89a'].includes(b.toString('latin1', 0, 6)) },
+    { format: 'webp', kind: 'image', ext: '.webp', test: b => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+    { format: 'mov', kind: 'video', ext: '.mov', test: b => b.toString('latin1', 4, 8) === 'ftyp' && b.toString('latin1', 8, 12) === 'qt  ' },
+    { format: 'mp4', kind: 'video', ext: '.mp4', test: b => b.toString('latin1', 4, 8) === 'ftyp' && MP4_BRANDS.includes(b.toString('latin1', 8, 12)) },
+    { format: 'webm', kind: 'video', ext: '.webm', test: b => b.toString('hex', 0, 4) === '1a45dfa3' },
+    { format: 'ogg', kind: 'video', ext: '.ogg', test: b => b.toString('latin1', 0, 4) === 'OggS' }
+];
+const MEDIA_SIZE_LIMITS = { image: 10 * 1024 * 1024, video: 100 * 1024 * 1024 };
+const MEDIA_KIND_LABELS = { image: '图片', video: '视频' };
+// 缩略图宽度，原图不超过该宽度时不单独生成缩略图
+const THUMBNAIL_WIDTH = 600;
+
+// 数据库中保存上传文件的相对地址 /uploads/<目录>/<文件名>，返回给前端时由 publicUrl 补全为 BASE_URL 下的完整地址，
+// 更换域名或端口时不需要改动已保存的数据
+const UPLOAD_URL_PREFIX = '/uploads/';
+// 私信附件的地址为 /api/message-media/<目录>/<文件名>，由 GET /api/message-media 检查读取者是会话的一方
+const PRIVATE_UPLOAD_URL_PREFIX = '/api/message-media/';
+const UPLOAD_ROOTS = [
+    { prefix: UPLOAD_URL_PREFIX, dir: UPLOAD_DIR },
+    { prefix: PRIVATE_UPLOAD_URL_PREFIX, dir: PRIVATE_UPLOAD_DIR }
+];
+
+function uploadUrl(relPath, isPrivate = false) {
+    return (isPrivate ? PRIVATE_UPLOAD_URL_PREFIX : UPLOAD_URL_PREFIX) + relPath;
+}
+
+// 用户上传文件的目录（相对 uploads），按用户 id 区分，改名后不变。早期上传的文件在以昵称命名的目录中，地址保持不变
+function userUploadDir(userId) {
+    return `users/${userId}`;
+}
+
+// 保存的地址转为返回给前端的完整地址，外部链接和空值原样返回
+function publicUrl(url) {
+    return typeof url === 'string' && UPLOAD_ROOTS.some(r => url.startsWith(r.prefix)) ? config.baseUrl + url : url;
+}
+
+// 前端提交的完整地址转回保存用的相对地址（例如新手引导配图），不是本站上传的文件时原样返回
+function storedUrl(url) {
+    const prefix = config.baseUrl + UPLOAD_URL_PREFIX;
+    return typeof url === 'string' && url.startsWith(prefix) ? url.slice(config.baseUrl.length) : url;
+}
+
+// 媒体列表中的地址补全为完整地址
+function publicMedia(media) {
+    return media.map(m => ({ ...m, url: publicUrl(m.url), thumbUrl: publicUrl(m.thumbUrl) || null }));
+}
+
+// 上传文件的地址 (保存的相对地址) 转为本地路径，不是本站上传目录下的文件时返回 null
+function uploadPathFromUrl(url) {
+    const upload = typeof url === 'string' && UPLOAD_ROOTS.find(r => url.startsWith(r.prefix));
+    if (!upload) return null;
+    const root = path.resolve(upload.dir);
+    const fp = path.resolve(root, decodeURIComponent(url.slice(upload.prefix.length)));
+    return fp.startsWith(root + path.sep) ? fp : null;
+}
+
+// 删除上传的文件（忽略不存在的文件和外部链接）
+function removeUploadedFiles(urls) {
+    urls.forEach(url => {
+        const fp = uploadPathFromUrl(url);
+        if (!fp) return;
+        fs.unlink(fp, (err) => {
+            if (err && err.code !== 'ENOENT') console.error("Error deleting file:", err);
+        });
+    });
+}
+
+function detectMediaFormat(filePath, cb) {
+    fs.open(filePath, 'r', (err, fd) => {
+        if (err) return cb(err);
+        const header = Buffer.alloc(16);
+        fs.read(fd, header, 0, header.length, 0, (err, bytesRead) => {
+            fs.close(fd, () => { });
+            if (err) return cb(err);
+            const buf = header.subarray(0, bytesRead);
+            cb(null, bytesRead >= 12 ? MEDIA_FORMATS.find(f => f.test(buf)) || null : null);
+        });
+    });
+}
+
+// 校验并转存一个上传文件，成功时返回 { url, type, width, height, thumbUrl }
+// options: { kinds: 允许的类型 ['image', 'video'], maxWidth / maxHeight: 图片缩放上限, thumbnail: 是否生成缩略图,
+//            private: 存入私信附件目录而不是公开的 uploads }
+// 图片会按 EXIF 方向摆正后重新编码，EXIF / GPS 等元数据不会写入新文件
+function storeUploadedFile(file, dir, options, cb) {
+    const fail = (message) => {
+        const err = new Error(message);
+        err.status = 400;
+        cb(err);
+    };
+
+    detectMediaFormat(file.path, (err, fmt) => {
+        if (err) return cb(err);
+        if (!fmt || !options.kinds.includes(fmt.kind)) {
+            const allowed = options.kinds.map(k => MEDIA_KIND_LABELS[k]).join('或');
+            return fail(`不支持的文件格式: ${file.originalname}（仅支持${allowed}）`);
+        }
+        if (file.size > MEDIA_SIZE_LIMITS[fmt.kind]) {
+            return fail(`${MEDIA_KIND_LABELS[fmt.kind]}不能超过 ${MEDIA_SIZE_LIMITS[fmt.kind] / 1024 / 1024}MB: ${file.originalname}`);
+        }
+
+        const targetDir = path.join(options.private ? PRIVATE_UPLOAD_DIR : UPLOAD_DIR, dir);
+        fs.mkdir(targetDir, { recursive: true }, (err) => {
+            if (err) return cb(err);
+            const name = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+            const filename = name + fmt.ext;
+
+            if (fmt.kind === 'video') {
+                return fs.rename(file.path, path.join(targetDir, filename), (err) => {
+                    if (err) return cb(err);
+                    cb(null, { url: uploadUrl(`${dir}/${filename}`, options.private), type: 'video', width: null, height: null, thumbUrl: null });
+                });
+            }
+
+            // GIF / WebP 可能是动图，保留所有帧
+            const animated = fmt.format === 'gif' || fmt.format === 'webp';
+            let image = sharp(file.path, { animated });
+            if (!animated) image = image.rotate();
+            if (options.maxWidth || options.maxHeight) {
+                image = image.resize({ width: options.maxWidth, height: options.maxHeight, fit: 'inside', withoutEnlargement: true });
+            }
+
+            const filePath = path.join(targetDir, filename);
+            image.toFormat(fmt.format).toFile(filePath)
+                .then(info => {
+                    const media = { url: uploadUrl(`${dir}/${filename}`, options.private), type: 'image', width: info.width, height: info.pageHeight || info.height, thumbUrl: null };
+                    if (!options.thumbnail || info.width <= THUMBNAIL_WIDTH) return media;
+
+                    const thumbName = `${name}_thumb.webp`;
+                    return sharp(filePath, { animated })
+                        .resize({ width: THUMBNAIL_WIDTH })
+                        .webp({ quality: 80 })
+                        .toFile(path.join(targetDir, thumbName))
+                        .then(() => ({ ...media, thumbUrl: uploadUrl(`${dir}/${thumbName}`, options.private) }));
+                })
+                .then(media => {
+                    fs.unlink(file.path, () => cb(null, media));
+                }, err => {
+                    console.error("Image processing failed:", err.message);
+                    fs.unlink(filePath, () => fail(`图片无法解析: ${file.originalname}`));
+                });
+        });
+    });
+}
+
+// 接收并处理上传文件的中间件，处理结果按字段名保存在 req.media 中
+// fields: { 字段名: { maxCount, kinds, maxWidth, maxHeight, thumbnail, private } }
+// dirOf(req): 存放目录（相对 uploads），默认为当前用户的目录
+// 任意一个文件不合格时整个请求返回 400，已转存的文件会被删除
+function receiveMedia(fields, dirOf = (req) => userUploadDir(req.user.id)) {
+    const receive = upload.fields(Object.keys(fields).map(name => ({ name, maxCount: fields[name].maxCount })));
+
+    return (req, res, next) => {
+        receive(req, res, (err) => {
+            const files = Object.values(req.files || {}).flat();
+            const stored = [];
+            const cleanup = () => {
+                files.forEach(f => fs.unlink(f.path, () => { }));
+                removeUploadedFiles(stored.flatMap(m => [m.url, m.thumbUrl]));
+            };
+
+            if (err) {
+                cleanup();
+                if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: `单个文件不能超过 ${MEDIA_SIZE_LIMITS.video / 1024 / 1024}MB` });
+                if (err instanceof multer.MulterError) return res.status(400).json({ error: `上传失败: ${err.message}` });
+                return next(err);
+            }
+
+            req.media = {};
+            series(files.map(file => (done) => {
+                storeUploadedFile(file, dirOf(req), fields[file.fieldname], (err, media) => {
+                    if (err) return done(err);
+                    stored.push(media);
+                    (req.media[file.fieldname] = req.media[file.fieldname] || []).push(media);
+                    done();
+                });
+            }), (err) => {
+                if (!err) return next();
+                cleanup();
+                res.status(err.status || 500).json({ error: err.message });
+            });
+        });
+    };
+}
+
+const TWEET_MEDIA_FIELDS = { files: { maxCount: 9, kinds: ['image', 'video'], thumbnail: true } };
+const PROFILE_MEDIA_FIELDS = {
+    avatar: { maxCount: 1, kinds: ['image'], maxWidth: 400, maxHeight: 400 },
+    banner: { maxCount: 1, kinds: ['image'], maxWidth: 1500, maxHeight: 1500 }
+};
+const SINGLE_IMAGE_FIELDS = { file: { maxCount: 1, kinds: ['image'], maxWidth: 2000, maxHeight: 2000 } };
+
+app.use('/uploads', express.static(UPLOAD_DIR));
+
+// 前端配置：页面由本服务器提供时，用配置中的地址覆盖仓库中 client-config.js 的默认值
+app.get('/client-config.js', (req, res) => {
+    res.type('application/javascript');
+    res.send(`window.APP_CONFIG = ${JSON.stringify({ apiBase: `${config.baseUrl}/api` })};\n`);
 });
 
-app.use('/uploads', express.static('uploads'));
-app.use(express.static(__dirname));
+// 前端页面和脚本。只提供这些文件，仓库目录中的数据库、配置和服务端代码不能通过 HTTP 访问
+const PUBLIC_FILES = ['index.html', 'login.html', 'admin-guide.html', 'admin-moderation.html', 'admin-stats.html', 'markdown.js'];
+PUBLIC_FILES.forEach(file => {
+    app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+});
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
 
 // --- 数据库初始化 ---
-const db = new sqlite3.Database('./database.sqlite', (err) => {
+const db = new sqlite3.Database(config.dbPath, (err) => {
     if (err) {
         console.error("数据库连接错误: " + err.message);
     } else {
@@ -77,95 +269,184 @@ const db = new sqlite3.Database('./database.sqlite', (err) => {
         // 开启外键约束验证
         db.run('PRAGMA foreign_keys = ON');
 
-        // 用户表
-        db.run(`CREATE TABLE IF NOT EXISTS users (
-            nickname TEXT PRIMARY KEY,
-            password TEXT NOT NULL,
-            bio TEXT DEFAULT '这个人很懒，什么都没写...',
-            avatar TEXT,
-            banner TEXT
-        )`);
-
-        // 安全添加 banner 列（如果表已存在）
-        db.run(`ALTER TABLE users ADD COLUMN banner TEXT`, (e) => { });
-
-        // 推文表
-        db.run(`CREATE TABLE IF NOT EXISTS tweets (
-            id TEXT PRIMARY KEY,
-            author_uid TEXT,
-            content TEXT,
-            media TEXT,
-            tags TEXT,
-            timestamp TEXT,
-            reactions_like TEXT DEFAULT '[]',
-            reactions_confused TEXT DEFAULT '[]',
-            reactions_omg TEXT DEFAULT '[]',
-            FOREIGN KEY (author_uid) REFERENCES users(nickname) ON UPDATE CASCADE
-        )`);
-
-        // 评论表
-        db.run(`CREATE TABLE IF NOT EXISTS comments (
-            id TEXT PRIMARY KEY,
-            tweet_id TEXT,
-            author_uid TEXT,
-            text TEXT,
-            timestamp TEXT,
-            parent_id TEXT DEFAULT NULL,
-            likes TEXT DEFAULT '[]',
-            FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE,
-            FOREIGN KEY (author_uid) REFERENCES users(nickname) ON UPDATE CASCADE
-        )`, (err) => {
-            if (!err) {
-                // Try to add new columns to existing table, ignoring errors if they already exist
-                db.run(`ALTER TABLE comments ADD COLUMN parent_id TEXT DEFAULT NULL`, (e) => { });
-                db.run(`ALTER TABLE comments ADD COLUMN likes TEXT DEFAULT '[]'`, (e) => { });
+        // 表结构由 migrations/ 下的迁移文件维护，迁移完成后再开始监听端口
+        runMigrations(db, (err) => {
+            if (err) {
+                console.error("数据库迁移失败: " + err.message);
+                process.exit(1);
             }
+            db.run(`DELETE FROM sessions WHERE expires_at < ?`, [Date.now()]);
+            initSearchIndex();
+            startServer();
         });
-
-        // 收藏表
-        db.run(`CREATE TABLE IF NOT EXISTS bookmarks (
-            user_id TEXT NOT NULL,
-            tweet_id TEXT NOT NULL,
-            timestamp TEXT,
-            PRIMARY KEY (user_id, tweet_id),
-            FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE
-        )`);
-
-        // 站点配置表 (用于存放新手引导等统一配置)
-        db.run(`CREATE TABLE IF NOT EXISTS site_config (
-            key TEXT PRIMARY KEY,
-            value TEXT NOT NULL
-        )`);
     }
 });
 
-// 辅助函数：解析反应数组。兼容旧的整数格式，如果解析失败或为数字，则返回空数组。
-function parseReactions(data) {
-    if (!data) return [];
-    if (!isNaN(data) && !isNaN(parseFloat(data))) return [];
+const REACTION_TYPES = ['like', 'confused', 'omg'];
+
+// 辅助函数：解析查询中 json_group_array 等聚合出的 JSON，失败时返回空数组/空对象
+function parseJsonArray(data) {
     try {
-        const arr = JSON.parse(data);
+        const arr = JSON.parse(data || "[]");
         return Array.isArray(arr) ? arr : [];
     } catch (e) {
         return [];
     }
 }
 
-// 辅助函数：获取反应数量。兼容旧的整数和新的数组格式。
-function getReactionCount(data) {
-    if (!data) return 0;
-    if (!isNaN(data) && !isNaN(parseFloat(data))) return parseInt(data, 10);
+function parseJsonObject(data) {
     try {
-        const arr = JSON.parse(data);
-        return Array.isArray(arr) ? arr.length : 0;
+        const obj = JSON.parse(data || "{}");
+        return obj && typeof obj === 'object' && !Array.isArray(obj) ? obj : {};
     } catch (e) {
-        return 0;
+        return {};
     }
 }
 
+// 解析正文或评论中的 @昵称 和 #标签。
+// 前面紧挨字母、数字或 . @ # & / 时不算（排除邮箱、网址锚点、HTML 实体等）；纯数字的 #1 不算标签。
+// 前端 renderRichText 使用同样的规则渲染链接，修改时两边保持一致
+const ENTITY_RE = /(^|[^\p{L}\p{N}_.@#&/])([@#])([\p{L}\p{N}\p{M}_-]+)/gu;
+const NICKNAME_RE = /^[a-zA-Z0-9_-]+$/;
+const HASHTAG_MAX_LENGTH = 50;
+
+function parseMentionsAndHashtags(text) {
+    const mentions = new Set();
+    const hashtags = new Map(); // 小写 -> 首次出现时的写法
+    for (const m of String(text || '').matchAll(ENTITY_RE)) {
+        if (m[2] === '@') {
+            if (NICKNAME_RE.test(m[3])) mentions.add(m[3]);
+        } else if (!/^\d+$/.test(m[3]) && m[3].length <= HASHTAG_MAX_LENGTH && !hashtags.has(m[3].toLowerCase())) {
+            hashtags.set(m[3].toLowerCase(), m[3]);
+        }
+    }
+    return { mentions: [...mentions], hashtags: [...hashtags.values()] };
+}
+
+// 推文附带的投票：选项和全部投票记录，由 formatPoll 按当前用户决定是否返回票数。没有投票时为 NULL
+const POLL_COLUMN = `(SELECT json_object('multiple', p.multiple, 'closesAt', p.closes_at,
+        'options', json((SELECT json_group_array(text) FROM (SELECT text FROM poll_options o WHERE o.tweet_id = p.tweet_id ORDER BY o.position))),
+        'votes', json((SELECT json_group_array(json_object('user', user_id, 'option', position)) FROM poll_votes v WHERE v.tweet_id = p.tweet_id)))
+    FROM polls p WHERE p.tweet_id = t.id)`;
+
+// 推文查询的公共列：附带作者最新昵称头像、评论总数（含二级评论），
+// 以及从关系表聚合成 JSON 的标签、媒体、互动用户（按写入顺序）、转发用户、引用数、浏览量和投票。
+// tags 为发布时填写的标签，hashtags 为正文中解析出的 #标签，mentions 为正文中提到的用户。
+// 表中保存的是用户 id，返回给前端的用户都换成当前昵称；投票记录只用于判断当前用户投了哪一项，保留 id
+const TWEET_COLUMNS = `t.*, u.nickname AS registered_nick, u.avatar AS registered_avatar,
+    (SELECT COUNT(*) FROM comments c WHERE c.tweet_id = t.id AND c.hidden_at IS NULL) AS comment_count,
+    (SELECT json_group_array(tag) FROM (SELECT tag FROM tweet_tags g WHERE g.tweet_id = t.id AND g.inline = 0 ORDER BY g.position)) AS tags_json,
+    (SELECT json_group_array(tag) FROM (SELECT tag FROM tweet_tags g WHERE g.tweet_id = t.id AND g.inline = 1 ORDER BY g.position)) AS hashtags_json,
+    (SELECT json_group_array(mu.nickname) FROM tweet_mentions tm JOIN users mu ON mu.id = tm.user_id WHERE tm.tweet_id = t.id) AS mentions_json,
+    (SELECT json_group_array(json_object('url', url, 'type', type, 'width', width, 'height', height, 'thumbUrl', thumb_url))
+        FROM (SELECT url, type, width, height, thumb_url FROM tweet_media m WHERE m.tweet_id = t.id ORDER BY m.position)) AS media_json,
+    (SELECT json_group_array(json_object('type', type, 'user', nickname)) FROM (SELECT r.type, ru.nickname FROM tweet_reactions r JOIN users ru ON ru.id = r.user_id WHERE r.tweet_id = t.id ORDER BY r.rowid)) AS reactions_json,
+    (SELECT json_group_object(type, count) FROM tweet_reaction_legacy_counts l WHERE l.tweet_id = t.id) AS legacy_reactions_json,
+    (SELECT json_group_array(nickname) FROM (SELECT ru.nickname FROM tweets rp JOIN users ru ON ru.id = rp.author_uid WHERE rp.repost_of = t.id ORDER BY rp.id)) AS reposters_json,
+    (SELECT COUNT(*) FROM tweets q WHERE q.quote_of = t.id AND q.hidden_at IS NULL) AS quote_count,
+    (SELECT COUNT(*) FROM tweet_views v WHERE v.tweet_id = t.id) AS view_count,
+    ${POLL_COLUMN} AS poll_json`;
+const TWEET_SELECT = `SELECT ${TWEET_COLUMNS} FROM tweets t LEFT JOIN users u ON t.author_uid = u.id`;
+
+// 评论查询：附带作者最新昵称头像、点赞用户和提到的用户
+const COMMENT_SELECT = `SELECT c.*, u.nickname AS registered_nick, u.avatar AS registered_avatar,
+    (SELECT json_group_array(nickname) FROM (SELECT lu.nickname FROM comment_likes l JOIN users lu ON lu.id = l.user_id WHERE l.comment_id = c.id ORDER BY l.rowid)) AS likes_json,
+    (SELECT json_group_array(mu.nickname) FROM comment_mentions cm JOIN users mu ON mu.id = cm.user_id WHERE cm.comment_id = c.id) AS mentions_json
+    FROM comments c LEFT JOIN users u ON c.author_uid = u.id`;
+
+// 读取字符串查询参数。参数重复出现时 (?tags=a&tags=b) Express 给出的是数组，只取第一个值
+function queryString(value) {
+    if (Array.isArray(value)) value = value[0];
+    return typeof value === 'string' ? value : undefined;
+}
+
+// 分页参数：limit 默认 20，最多 50；before 为上一页返回的 nextCursor
+const PAGE_SIZE_DEFAULT = 20;
+const PAGE_SIZE_MAX = 50;
+function getPageParams(query) {
+    let limit = parseInt(queryString(query.limit), 10);
+    if (!limit || limit < 1) limit = PAGE_SIZE_DEFAULT;
+    return { limit: Math.min(limit, PAGE_SIZE_MAX), before: queryString(query.before) || null };
+}
+
+// 查询时多取一条 (limit + 1)，据此判断是否还有下一页
+function buildPage(rows, limit, cursorOf) {
+    const page = rows.slice(0, limit);
+    const nextCursor = rows.length > limit && page.length > 0 ? cursorOf(page[page.length - 1]) : null;
+    return { page, nextCursor };
+}
+
+// 格式化投票。票数只对已投票的用户可见，投票结束后对所有人可见，未公开时 votes 为 null；
+// 参与人数始终返回，不返回谁投了哪一项
+function formatPoll(data, viewer) {
+    const poll = parseJsonObject(data);
+    if (!Array.isArray(poll.options)) return null;
+
+    const votes = Array.isArray(poll.votes) ? poll.votes : [];
+    const myVotes = viewer ? votes.filter(v => v.user === viewer).map(v => v.option).sort((a, b) => a - b) : [];
+    const closed = poll.closesAt <= Date.now();
+    const resultsVisible = closed || myVotes.length > 0;
+    return {
+        options: poll.options.map((text, i) => ({ text, votes: resultsVisible ? votes.filter(v => v.option === i).length : null })),
+        multiple: !!poll.multiple,
+        closesAt: poll.closesAt,
+        closed,
+        voterCount: new Set(votes.map(v => v.user)).size,
+        myVotes,
+        resultsVisible
+    };
+}
+
 // 工具函数：格式化推文供前端使用
-function formatTweet(r, comments) {
-    const displayUser = r.registered_nick || r.author_uid;
+// 列表接口只返回评论数 (commentCount)，详情接口传入 comments 时才附带完整评论树。
+// viewer 为当前用户 id，决定投票结果是否可见；推送给所有人的数据不传。
+// author_uid 返回作者当前昵称，早期没有账号的作者返回原来的名字 (legacy_author)。
+// contentHtml / textHtml 为按 markdown.js 渲染、已转义的正文，前端直接插入页面
+function formatTweet(r, comments, viewer) {
+    const displayUser = r.registered_nick || r.legacy_author;
+    const media = publicMedia(parseJsonArray(r.media_json));
+    const mentions = parseJsonArray(r.mentions_json);
+
+    const reactionUsers = {};
+    REACTION_TYPES.forEach(type => reactionUsers[type] = []);
+    parseJsonArray(r.reactions_json).forEach(x => {
+        if (reactionUsers[x.type]) reactionUsers[x.type].push(x.user);
+    });
+    // 最早版本只存了整数计数，没有用户列表，这部分数量需要加回来
+    const legacyCounts = parseJsonObject(r.legacy_reactions_json);
+    const reactions = {};
+    REACTION_TYPES.forEach(type => reactions[type] = reactionUsers[type].length + (legacyCounts[type] || 0));
+
+    const tweet = {
+        id: r.id,
+        user: displayUser,
+        userAvatar: publicUrl(r.registered_avatar) || null,
+        author_uid: displayUser,
+        content: r.content,
+        contentHtml: markdown.render(r.content, { mentions }),
+        media: media,
+        mediaUrl: media.length > 0 ? media[0].url : null,
+        mediaType: media.length > 0 ? media[0].type : null,
+        tags: parseJsonArray(r.tags_json),
+        hashtags: parseJsonArray(r.hashtags_json),
+        mentions: mentions,
+        timestamp: r.timestamp,
+        createdAt: r.created_at,
+        editedAt: r.edited_at || null,
+        reactions: reactions,
+        reactionUsers: reactionUsers,
+        // 转发和引用：repostOf / quoteOf 由 embedReferencedTweets 附上
+        repostOfId: r.repost_of || null,
+        quoteOfId: r.quote_of || null,
+        repostUsers: parseJsonArray(r.reposters_json),
+        repostCount: parseJsonArray(r.reposters_json).length,
+        quoteCount: r.quote_count || 0,
+        poll: formatPoll(r.poll_json, viewer),
+        commentCount: comments ? comments.length : (r.comment_count || 0)
+    };
+    // 浏览量只返回给作者本人
+    if (viewer != null && r.author_uid === viewer) tweet.viewCount = r.view_count || 0;
+    if (!comments) return tweet;
 
     // 解析二级评论
     const repliesMap = {};
@@ -173,15 +454,18 @@ function formatTweet(r, comments) {
     comments.forEach(c => {
         if (c.parent_id) {
             if (!repliesMap[c.parent_id]) repliesMap[c.parent_id] = [];
-            const cDisplayUser = c.registered_nick || c.author_uid;
+            const cDisplayUser = c.registered_nick || c.legacy_author;
+            const cMentions = parseJsonArray(c.mentions_json);
             repliesMap[c.parent_id].push({
                 id: c.id,
                 user: cDisplayUser,
-                author_uid: c.author_uid,
-                avatar: c.registered_avatar || null,
+                author_uid: cDisplayUser,
+                avatar: publicUrl(c.registered_avatar) || null,
                 text: c.text,
+                textHtml: markdown.render(c.text, { mentions: cMentions }),
                 timestamp: c.timestamp,
-                likes: parseReactions(c.likes)
+                likes: parseJsonArray(c.likes_json),
+                mentions: cMentions
             });
         }
     });
@@ -190,574 +474,3656 @@ function formatTweet(r, comments) {
     const formattedComments = comments
         .filter(c => !c.parent_id)
         .map(c => {
-            const cDisplayUser = c.registered_nick || c.author_uid;
+            const cDisplayUser = c.registered_nick || c.legacy_author;
+            const cMentions = parseJsonArray(c.mentions_json);
             return {
                 id: c.id,
                 user: cDisplayUser,
-                author_uid: c.author_uid,
-                avatar: c.registered_avatar || null,
+                author_uid: cDisplayUser,
+                avatar: publicUrl(c.registered_avatar) || null,
                 text: c.text,
+                textHtml: markdown.render(c.text, { mentions: cMentions }),
                 timestamp: c.timestamp,
-                likes: parseReactions(c.likes),
+                likes: parseJsonArray(c.likes_json),
+                mentions: cMentions,
                 replies: (repliesMap[c.id] || []).reverse() // 将最新的逆序回正，变成正常阅读顺序
             };
         });
 
-    return {
-        id: r.id,
-        user: displayUser,
-        userAvatar: r.registered_avatar || null,
-        author_uid: r.author_uid,
-        content: r.content,
-        media: JSON.parse(r.media || "[]"),
-        mediaUrl: JSON.parse(r.media || "[]").length > 0 ? JSON.parse(r.media)[0].url : null,
-        mediaType: JSON.parse(r.media || "[]").length > 0 ? JSON.parse(r.media)[0].type : null,
-        tags: JSON.parse(r.tags || "[]"),
-        timestamp: r.timestamp,
-        reactions: {
-            like: getReactionCount(r.reactions_like),
-            confused: getReactionCount(r.reactions_confused),
-            omg: getReactionCount(r.reactions_omg)
-        },
-        reactionUsers: {
-            like: parseReactions(r.reactions_like),
-            confused: parseReactions(r.reactions_confused),
-            omg: parseReactions(r.reactions_omg)
-        },
-        comments: formattedComments
-    };
+    tweet.comments = formattedComments;
+    return tweet;
 }
 
-// === 接口: Auth ===
-
-// 注册
-app.post('/api/register', (req, res) => {
-    const { nickname, password } = req.body;
-
-    if (!nickname || !password) return res.status(400).json({ error: "昵称和密码不能为空" });
-    if (!/^[a-zA-Z0-9_\-]+$/.test(nickname)) {
-        return res.status(400).json({ error: "昵称只能包含大小写字母、数字、下划线和短横线" });
-    }
-
-    db.run(`INSERT INTO users (nickname, password) VALUES (?, ?)`, [nickname, password], function (err) {
-        if (err) {
-            if (err.message.includes('UNIQUE constraint failed')) {
-                return res.status(409).json({ error: "昵称已被注册，请尝试其他昵称" });
-            }
-            return res.status(500).json({ error: err.message });
-        }
-
+// 为转发和引用附上原推文 (repostOf / quoteOf)，原推文已删除或被隐藏时为 null。
+// 转发的原推文本身可能是引用，因此向下嵌套 depth 层；更深的层级不附带，前端只显示到这一层
+function embedReferencedTweets(tweets, viewer, cb, depth = 2) {
+    const ids = [...new Set(tweets.flatMap(t => [t.repostOfId, t.quoteOfId]).filter(id => id))];
+    if (ids.length === 0 || depth === 0) return cb(null, tweets);
 
+    db.all(`${TWEET_SELECT} WHERE t.id IN (${ids.map(() => '?').join(', ')}) AND t.hidden_at IS NULL`, ids, (err, rows) => {
+        if (err) return cb(err);
 
-        res.status(201).json({ success: true, nickname });
+        embedReferencedTweets(rows.map(r => formatTweet(r, null, viewer)), viewer, (err, referenced) => {
+            if (err) return cb(err);
+            const byId = new Map(referenced.map(t => [t.id, t]));
+            tweets.forEach(t => {
+                if (t.repostOfId) t.repostOf = byId.get(t.repostOfId) || null;
+                if (t.quoteOfId) t.quoteOf = byId.get(t.quoteOfId) || null;
+            });
+            cb(null, tweets);
+        }, depth - 1);
     });
-});
-
-// 登录
-app.post('/api/login', (req, res) => {
-    const { nickname, password } = req.body;
+}
 
-    db.get(`SELECT * FROM users WHERE nickname = ? AND password = ?`, [nickname, password], (err, row) => {
+// 查询单条推文及其完整评论树并返回（详情、互动、评论接口共用）。被隐藏的推文按不存在处理，被隐藏的评论不返回
+function sendTweetDetail(res, tweetId, viewer) {
+    db.get(`${TWEET_SELECT} WHERE t.id = ? AND t.hidden_at IS NULL`, [tweetId], (err, r) => {
         if (err) return res.status(500).json({ error: err.message });
-        if (!row) return res.status(401).json({ error: "昵称不存在或密码错误" });
+        if (!r) return res.status(404).json({ error: "Not found" });
 
+        db.all(`${COMMENT_SELECT} WHERE c.tweet_id = ? AND c.hidden_at IS NULL ORDER BY c.id DESC`, [tweetId], (err, cmts) => {
+            if (err) return res.status(500).json({ error: err.message });
+            const tweet = formatTweet(r, cmts, viewer);
+            embedReferencedTweets([tweet], viewer, (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+                res.json(tweet);
+            });
+        });
+    });
+}
 
+// 覆盖写入推文的标签、提到的用户和媒体；media 为 null 时保留原有媒体。
+// 正文中的 #标签 排在填写的标签之后，已经填写过的（不区分大小写）不重复保存；@昵称 只保存存在的用户
+function saveTweetRelations(tweetId, { tags, content, media }, cb) {
+    const { mentions, hashtags } = parseMentionsAndHashtags(content);
+    const explicitTags = new Set(tags.map(tag => tag.toLowerCase()));
+    const inlineTags = hashtags.filter(tag => !explicitTags.has(tag.toLowerCase()));
 
-        res.json({ success: true, user: { nickname: row.nickname, bio: row.bio, avatar: row.avatar } });
+    const statements = [
+        [`DELETE FROM tweet_tags WHERE tweet_id = ?`, [tweetId]],
+        [`DELETE FROM tweet_mentions WHERE tweet_id = ?`, [tweetId]]
+    ];
+    tags.forEach((tag, i) => {
+        statements.push([`INSERT INTO tweet_tags (tweet_id, position, tag, inline) VALUES (?, ?, ?, 0)`, [tweetId, i, tag]]);
     });
-});
-
-// 校验昵称是否可用
-app.get('/api/check-nickname', (req, res) => {
-    const { nickname } = req.query;
-    if (!nickname) return res.json({ available: false });
-    db.get('SELECT nickname FROM users WHERE nickname = ?', [nickname], (err, row) => {
-        if (err) return res.status(500).json({ error: err.message });
-        res.json({ available: !row });
+    inlineTags.forEach((tag, i) => {
+        statements.push([`INSERT INTO tweet_tags (tweet_id, position, tag, inline) VALUES (?, ?, ?, 1)`, [tweetId, tags.length + i, tag]]);
     });
-});
-
-// 获取个人资料
-app.get('/api/profile', (req, res) => {
-    const uid = req.query.uid;
-    if (!uid) {
-        return res.json({ nickname: "未登录", bio: "请先登录或注册", avatar: null, banner: null });
+    mentions.forEach(nickname => {
+        statements.push([`INSERT INTO tweet_mentions (tweet_id, user_id) SELECT ?, id FROM users WHERE nickname = ?`, [tweetId, nickname]]);
+    });
+    if (media) {
+        statements.push([`DELETE FROM tweet_media WHERE tweet_id = ?`, [tweetId]]);
+        media.forEach((m, i) => {
+            statements.push([`INSERT INTO tweet_media (tweet_id, position, url, type, width, height, thumb_url) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [tweetId, i, m.url, m.type, m.width || null, m.height || null, m.thumbUrl || null]]);
+        });
     }
+    runStatements(db, statements, cb);
+}
 
-    db.get(`SELECT nickname, bio, avatar, banner FROM users WHERE nickname = ?`, [uid], (err, row) => {
-        if (err || !row) {
-            res.json({ nickname: "游客账户", bio: "", avatar: null, banner: null, isVisitor: true });
-        } else {
-            res.json({ ...row, isVisitor: false });
-        }
+// 写入新评论中的 #标签 和提到的用户
+function saveCommentRelations(commentId, text, cb) {
+    const { mentions, hashtags } = parseMentionsAndHashtags(text);
+    const statements = [];
+    hashtags.forEach((tag, i) => {
+        statements.push([`INSERT INTO comment_tags (comment_id, position, tag) VALUES (?, ?, ?)`, [commentId, i, tag]]);
     });
-});
+    mentions.forEach(nickname => {
+        statements.push([`INSERT INTO comment_mentions (comment_id, user_id) SELECT ?, id FROM users WHERE nickname = ?`, [commentId, nickname]]);
+    });
+    runStatements(db, statements, cb);
+}
 
-// 更新个人资料
-app.post('/api/profile', upload.fields([{ name: 'avatar', maxCount: 1 }, { name: 'banner', maxCount: 1 }]), (req, res) => {
-    const { uid, bio, newNickname } = req.body;
-    if (!uid) return res.status(401).json({ error: "Unauthorized" });
+// 删除推文及其媒体文件（包括编辑历史中的旧媒体，作者删除和管理员删除共用）。
+// SQLite 配置了 ON DELETE CASCADE，评论、收藏、互动、标签、媒体、编辑历史记录和对它的转发会随推文一起删除；
+// 引用它的推文保留，显示为“推文不可用”
+function deleteTweet(tweetId, cb) {
+    db.all(`SELECT url, thumb_url FROM tweet_media WHERE tweet_id = ?`, [tweetId], (err, mediaArr) => {
+        if (err) return cb(err);
 
-    db.get(`SELECT nickname FROM users WHERE nickname = ?`, [uid], (err, row) => {
-        if (err || !row) return res.status(403).json({ error: "用户不存在，请先注册" });
+        db.all(`SELECT media_json FROM tweet_revisions WHERE tweet_id = ?`, [tweetId], (err, revisions) => {
+            if (err) return cb(err);
 
-        let updates = [];
-        let params = [];
-        if (newNickname && newNickname !== uid) {
-            if (!/^[a-zA-Z0-9_\-]+$/.test(newNickname)) {
-                return res.status(400).json({ error: "昵称只能包含大小写字母、数字、下划线和短横线" });
-            }
-            updates.push("nickname = ?");
-            params.push(newNickname);
-        }
-        if (bio !== undefined) {
-            updates.push("bio = ?");
-            params.push(bio);
-        }
-        if (req.files && req.files['avatar'] && req.files['avatar'][0]) {
-            updates.push("avatar = ?");
-            const file = req.files['avatar'][0];
-            const uidDir = req.body.uid || 'guest';
-            params.push(`http://localhost:5000/uploads/${uidDir}/${file.filename}`);
-        }
-        if (req.files && req.files['banner'] && req.files['banner'][0]) {
-            updates.push("banner = ?");
-            const file = req.files['banner'][0];
-            const uidDir = req.body.uid || 'guest';
-            params.push(`http://localhost:5000/uploads/${uidDir}/${file.filename}`);
-        }
+            db.all(`SELECT id FROM tweets WHERE repost_of = ?`, [tweetId], (err, reposts) => {
+                if (err) return cb(err);
 
-        if (updates.length > 0) {
-            params.push(uid);
-            db.run(`UPDATE users SET ${updates.join(', ')} WHERE nickname = ?`, params, function (err) {
-                if (err) {
-                    if (err.message.includes('UNIQUE constraint failed')) {
-                        return res.status(409).json({ error: "昵称已被占用" });
-                    }
-                    return res.status(500).json({ error: err.message });
-                }
-                const targetUid = (newNickname && newNickname !== uid) ? newNickname : uid;
-                db.get(`SELECT nickname, bio, avatar, banner FROM users WHERE nickname = ?`, [targetUid], (err, finalRow) => {
-                    res.json(finalRow);
+                db.run(`DELETE FROM tweets WHERE id = ?`, [tweetId], (err) => {
+                    if (err) return cb(err);
+
+                    const revisionMedia = revisions.flatMap(v => parseJsonArray(v.media_json));
+                    removeUploadedFiles(mediaArr.flatMap(m => [m.url, m.thumb_url]).concat(revisionMedia.flatMap(m => [m.url, m.thumbUrl])));
+                    publishEvent('tweet_deleted', { id: tweetId });
+                    reposts.forEach(r => publishEvent('tweet_deleted', { id: r.id }));
+                    cb(null);
                 });
             });
-        } else {
-            db.get(`SELECT nickname, bio, avatar, banner FROM users WHERE nickname = ?`, [uid], (err, finalRow) => {
-                res.json(finalRow);
-            });
-        }
+        });
     });
-});
+}
 
-// 注销账号
-app.delete('/api/profile', (req, res) => {
-    const { uid } = req.query;
-    if (!uid) return res.status(401).json({ error: "Unauthorized" });
+// === 实时推送 (SSE) ===
 
-    // 先删除收藏、评论，再删除推文，最后删除用户
-    db.serialize(() => {
-        db.run(`DELETE FROM bookmarks WHERE user_id = ?`, [uid]);
-        db.run(`DELETE FROM comments WHERE author_uid = ?`, [uid]);
-        db.run(`DELETE FROM tweets WHERE author_uid = ?`, [uid]);
-        db.run(`DELETE FROM users WHERE nickname = ?`, [uid], function (err) {
-            if (err) return res.status(500).json({ error: err.message });
-            res.json({ success: true });
+// 已连接 /api/stream 的客户端
+const streamClients = new Set();
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// 向所有客户端推送一条事件
+function publishEvent(event, data) {
+    const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    streamClients.forEach(res => res.write(payload));
+}
+
+// 查询推文的最新状态（列表格式，不含评论）后推送，extra 中的字段一并附带
+function publishTweet(event, tweetId, extra) {
+    if (streamClients.size === 0) return;
+    db.get(`${TWEET_SELECT} WHERE t.id = ? AND t.hidden_at IS NULL`, [tweetId], (err, r) => {
+        if (err || !r) return;
+        const tweet = formatTweet(r);
+        embedReferencedTweets([tweet], null, (err) => {
+            if (!err) publishEvent(event, { tweet, ...extra });
         });
     });
-});
-
-// === 接口: 推文 ===
+}
 
-// 获取推文列表 (带 Search 和 JOIN 获取最新头像昵称)
-app.get('/api/tweets', (req, res) => {
-    const { search } = req.query;
-    let query = `
-        SELECT t.*, u.nickname AS registered_nick, u.avatar AS registered_avatar 
-        FROM tweets t 
-        LEFT JOIN users u ON t.author_uid = u.nickname 
-        ORDER BY t.id DESC
-    `;
-    let params = [];
-
-    if (search) {
-        query = `
-            SELECT t.*, u.nickname AS registered_nick, u.avatar AS registered_avatar 
-            FROM tweets t 
-            LEFT JOIN users u ON t.author_uid = u.nickname 
-            WHERE t.content LIKE ? OR t.author_uid LIKE ? OR u.nickname LIKE ?
-            ORDER BY t.id DESC
-        `;
-        const q = `%${search}%`;
-        params = [q, q, q];
-    }
+// 定期发送注释行，避免空闲连接被代理或浏览器断开
+setInterval(() => {
+    streamClients.forEach(res => res.write(': ping\n\n'));
+}, STREAM_HEARTBEAT_MS).unref();
 
-    const { tags } = req.query;
+// === 通知 ===
 
+// 写入一条通知。给自己的操作不通知；写入失败只记录日志，不影响触发通知的接口
+function notify({ userId, actorId, type, tweetId = null, commentId = null, reaction = null }) {
+    if (!userId || userId === actorId) return;
+    db.run(`INSERT INTO notifications (user_id, actor_id, type, tweet_id, comment_id, reaction, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [userId, actorId, type, tweetId, commentId, reaction, Date.now()], (err) => {
+            if (err) console.error("写入通知失败:", err.message);
+        });
+}
 
-    db.all(query, params, (err, rows) => {
-        if (err) return res.status(500).json({ error: err.message });
+// 撤销操作（取消反应、取消点赞、取消收藏）时删除对应的未读通知，避免反复切换刷屏
+function retractNotification({ actorId, type, tweetId = null, commentId = null, reaction = null }) {
+    db.run(`DELETE FROM notifications
+            WHERE actor_id = ? AND type = ? AND tweet_id IS ? AND comment_id IS ? AND reaction IS ? AND read_at IS NULL`,
+        [actorId, type, tweetId, commentId, reaction], (err) => {
+            if (err) console.error("删除通知失败:", err.message);
+        });
+}
 
-        db.all(`
-            SELECT c.*, u.nickname AS registered_nick, u.avatar AS registered_avatar 
-            FROM comments c 
-            LEFT JOIN users u ON c.author_uid = u.nickname 
-            ORDER BY c.id ASC
-        `, [], (err, cmts) => {
-            if (err) return res.status(500).json({ error: err.message });
+// === 全文搜索 (FTS5) ===
 
-            const commentsByTweet = {};
-            cmts.forEach(c => {
-                if (!commentsByTweet[c.tweet_id]) commentsByTweet[c.tweet_id] = [];
-                // Frontend unshifts comments to show latest on top, we return newest first or let frontend handle it
-                // Actually, original code unshifts newly created comments but doesn't change order when fetching.
-                // Let's keep newest first.
-                commentsByTweet[c.tweet_id].unshift(c);
-            });
+// 中日文没有空格分词，写入索引前在每个汉字/假名两侧插入零宽空格 (U+200B)，
+// unicode61 分词器会把它当作分隔符，从而实现按字 (unigram) 索引；查询时用同样的方式切分，
+// 多字词即成为相邻字组成的短语。返回给前端的高亮片段再去掉零宽空格即可还原原文
+const CJK_CHAR_RE = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/;
+const CJK_CHARS_RE = new RegExp(CJK_CHAR_RE.source, 'g');
+const HIGHLIGHT_OPEN = '\u0002';
+const HIGHLIGHT_CLOSE = '\u0003';
 
-            let formatted = rows.map(r => formatTweet(r, commentsByTweet[r.id] || []));
+function segmentForSearch(text) {
+    return (text || '')
+        .replace(/[\u0002\u0003\u200b]/g, '')
+        .replace(CJK_CHARS_RE, '\u200b$&\u200b');
+}
 
-            // Tag 过滤：如果指定了 tags 参数，只返回包含所有指定 tag 的推文
-            if (tags) {
-                const requiredTags = tags.split(',').map(t => t.trim().toLowerCase()).filter(t => t);
-                if (requiredTags.length > 0) {
-                    formatted = formatted.filter(tweet => {
-                        const tweetTags = (tweet.tags || []).map(t => t.toLowerCase());
-                        return requiredTags.every(rt => tweetTags.includes(rt));
-                    });
-                }
-            }
+// 去掉分词用的零宽空格，并合并相邻的高亮区间 (逐字高亮的 "你" "好" 合并为 "你好")
+function unsegmentHighlight(text) {
+    return (text || '')
+        .replace(/\u200b/g, '')
+        .replace(new RegExp(HIGHLIGHT_CLOSE + HIGHLIGHT_OPEN, 'g'), '');
+}
 
-            res.json(formatted);
-        });
+// 全文索引表由迁移创建；旧数据库刚建好索引，或索引与推文数量不一致时整体重建
+function initSearchIndex() {
+    db.get(`SELECT (SELECT COUNT(*) FROM tweets) AS tweets, (SELECT COUNT(*) FROM tweets_fts) AS indexed`, (err, row) => {
+        if (err) return console.error("检查全文索引失败:", err.message);
+        if (row.tweets !== row.indexed) rebuildSearchIndex();
     });
-});
-
-// 发布推文
-app.post('/api/tweets', upload.array('files', 9), (req, res) => {
-    const { uid, content, tags } = req.body;
-    if (!uid) return res.status(400).json({ error: "No user ID" });
+}
 
-    const media = [];
-    if (req.files && req.files.length > 0) {
-        req.files.forEach(file => {
-            const userDir = uid || 'guest';
-            const url = `http://localhost:5000/uploads/${userDir}/${file.filename}`;
-            const ext = path.extname(file.originalname).toLowerCase();
-            const type = ['.mp4', '.webm', '.ogg', '.mov'].includes(ext) ? 'video' : 'image';
-            media.push({ url, type });
+function rebuildSearchIndex() {
+    db.run(`DELETE FROM tweets_fts`, (err) => {
+        if (err) return console.error("重建全文索引失败:", err.message);
+        db.all(`SELECT id FROM tweets`, (err, rows) => {
+            if (err) return console.error("重建全文索引失败:", err.message);
+            rows.forEach(r => indexTweet(r.id));
+            console.log(`全文索引已重建，共 ${rows.length} 条推文`);
         });
-    }
+    });
+}
 
-    const id = Date.now().toString();
-    const tagsArr = tags ? tags.split(/[,，]/).map(t => t.trim()).filter(t => t) : [];
-    const timestamp = new Date().toLocaleString();
+// 重新索引一条推文（内容、标签及全部评论）。推文不存在时仅删除旧索引
+function indexTweet(tweetId, cb) {
+    const done = (err) => {
+        if (err) console.error("更新全文索引失败:", err.message);
+        if (cb) cb();
+    };
 
-    db.run(`INSERT INTO tweets (id, author_uid, content, media, tags, timestamp) VALUES (?, ?, ?, ?, ?, ?)`,
-        [id, uid, content, JSON.stringify(media), JSON.stringify(tagsArr), timestamp], function (err) {
-            if (err) return res.status(500).json({ error: err.message });
+    db.get(`SELECT id, content, (SELECT group_concat(tag, ' ') FROM tweet_tags WHERE tweet_id = tweets.id) AS tags FROM tweets WHERE id = ?`, [tweetId], (err, t) => {
+        if (err) return done(err);
+        db.all(`SELECT text FROM comments WHERE tweet_id = ? AND hidden_at IS NULL ORDER BY id ASC`, [tweetId], (err, cmts) => {
+            if (err) return done(err);
+            db.run(`DELETE FROM tweets_fts WHERE tweet_id = ?`, [tweetId], (err) => {
+                if (err || !t) return done(err);
 
-            // 返回新建的推文
-            db.get(`SELECT t.*, u.nickname AS registered_nick, u.avatar AS registered_avatar FROM tweets t LEFT JOIN users u ON t.author_uid = u.nickname WHERE t.id = ?`, [id], (err, row) => {
-                if (err || !row) return res.status(500).json({ error: "Server error" });
-                res.status(201).json(formatTweet(row, []));
+                db.run(`INSERT INTO tweets_fts (tweet_id, content, tags, comments) VALUES (?, ?, ?, ?)`, [
+                    t.id,
+                    segmentForSearch(t.content),
+                    segmentForSearch(t.tags),
+                    segmentForSearch((cmts || []).map(c => c.text).join('\n'))
+                ], done);
             });
         });
-});
+    });
+}
 
-// 修改推文
-app.put('/api/tweets/:id', upload.array('files', 9), (req, res) => {
-    const { uid, content, tags } = req.body;
-    const tweetId = req.params.id;
+// 解析搜索框输入：
+//   "带引号的短语"  精确短语
+//   from:昵称       只看该用户发布的推文（可出现多次，任一匹配即可）
+//   #标签           必须包含该标签（可出现多次，需全部包含）
+//   其余词          全文匹配，多个词之间为 AND
+function parseSearchQuery(q) {
+    const parsed = { terms: [], authors: [], tags: [] };
+    const re = /"([^"]*)"?|(\S+)/g;
+    let m;
+    while ((m = re.exec(q || '')) !== null) {
+        if (m[1] !== undefined) {
+            parsed.terms.push({ text: m[1], phrase: true });
+        } else if (/^from:./i.test(m[2])) {
+            parsed.authors.push(m[2].substring(5).replace(/^@/, ''));
+        } else if (/^#./.test(m[2])) {
+            parsed.tags.push(m[2].substring(1).toLowerCase());
+        } else {
+            parsed.terms.push({ text: m[2], phrase: false });
+        }
+    }
+    // 只由标点组成的词不会产生任何 token，直接丢弃
+    parsed.terms = parsed.terms.filter(t => /[\p{L}\p{N}]/u.test(t.text));
+    return parsed;
+}
 
-    if (!uid) return res.status(401).json({ error: "Unauthorized" });
+// 把解析出的词转换为 FTS5 MATCH 表达式。每个词都作为短语加引号，避免用户输入被当作 FTS 语法；
+// 不含中日文的普通词按前缀匹配，接近原先 LIKE 的体验
+function buildFtsQuery(terms) {
+    return terms.map(t => {
+        const phrase = `"${segmentForSearch(t.text).replace(/"/g, '""')}"`;
+        return !t.phrase && !CJK_CHAR_RE.test(t.text) ? `${phrase} *` : phrase;
+    }).join(' AND ');
+}
 
-    db.get(`SELECT author_uid, media FROM tweets WHERE id = ?`, [tweetId], (err, row) => {
-        if (err || !row) return res.status(404).json({ error: "Not found" });
-        if (row.author_uid !== uid) return res.status(403).json({ error: "No permission" });
+// === 会话与密码 ===
 
-        let mediaStr = row.media;
+// 密码加盐哈希，存储格式: scrypt$<salt>$<hash>
+function hashPassword(password, cb) {
+    if (typeof password !== 'string') return cb(new Error("密码必须是字符串"));
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, 64, (err, derived) => {
+        if (err) return cb(err);
+        cb(null, `scrypt$${salt}$${derived.toString('hex')}`);
+    });
+}
 
-        // 如果有新上传的文件，则完全替换原媒体；如果不传文件，保持原样。如果传了特定的清空标志可另外处理，不过目前简化为：如果重新选择了文件，就替换。
-        if (req.files && req.files.length > 0) {
-            const media = [];
-            req.files.forEach(file => {
-                const userDir = uid || 'guest';
-                const url = `http://localhost:5000/uploads/${userDir}/${file.filename}`;
-                const ext = path.extname(file.originalname).toLowerCase();
-                const type = ['.mp4', '.webm', '.ogg', '.mov'].includes(ext) ? 'video' : 'image';
-                media.push({ url, type });
-            });
-            mediaStr = JSON.stringify(media);
+// 校验密码。早期的明文密码已由迁移统一哈希，不是哈希格式的密码一律校验失败
+function verifyPassword(password, stored, cb) {
+    if (!stored || !stored.startsWith('scrypt$') || typeof password !== 'string') return cb(null, false);
+    const [, salt, hash] = stored.split('$');
+    crypto.scrypt(password, salt, 64, (err, derived) => {
+        if (err) return cb(err);
+        const expected = Buffer.from(hash, 'hex');
+        cb(null, expected.length === derived.length && crypto.timingSafeEqual(expected, derived));
+    });
+}
 
-            // 可选：在这里删除旧文件以节省空间。当前版本暂时只修改数据库。
-        }
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
 
-        const tagsArr = tags ? tags.split(/[,，]/).map(t => t.trim()).filter(t => t) : [];
-        const timestamp = new Date().toLocaleString(); // 记录新的编辑时间
+// 为用户签发新的会话令牌
+function createSession(userId, cb) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    db.run(`INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)`,
+        [hashToken(token), userId, now, now + SESSION_TTL_MS], (err) => {
+            if (err) return cb(err);
+            cb(null, { token, expiresAt: now + SESSION_TTL_MS });
+        });
+}
 
-        // 追加一个特殊标志标识编辑过，利用原有的 timestamp 我们可以将其修改为带标记的字符串
-        // "original_timestamp|edited_timestamp" 这种格式可以在前端解析
-        // 为保持简单我们可以让前端处理 `edited_${timestamp}` 或者直接在表结构加edit_time（不过不要轻易改表结构）
-        // 这里就直接覆盖 timestamp 字段就行了，前端解析如果满足需要再特殊处理
+// 从 Authorization: Bearer <token> 中读取令牌
+function getRequestToken(req) {
+    const header = req.headers['authorization'] || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
 
-        db.run(`UPDATE tweets SET content = ?, tags = ?, media = ?, timestamp = ? WHERE id = ?`,
-            [content, JSON.stringify(tagsArr), mediaStr, `编于: ${timestamp}`, tweetId], function (err) {
-                if (err) return res.status(500).json({ error: err.message });
+// 全局中间件：解析会话，命中时挂载 req.user，后续接口一律以它作为操作者身份。
+// 数据库中以 req.user.id 引用用户，nickname 只用于显示和返回给前端
+app.use((req, res, next) => {
+    const token = getRequestToken(req);
+    if (!token) return next();
 
-                db.get(`SELECT t.*, u.nickname AS registered_nick, u.avatar AS registered_avatar FROM tweets t LEFT JOIN users u ON t.author_uid = u.nickname WHERE t.id = ?`, [tweetId], (err, row) => {
-                    if (err || !row) return res.status(500).json({ error: "Server error" });
-                    res.json(formatTweet(row, []));
-                });
-            });
+    db.get(`SELECT s.token_hash, s.expires_at, u.id, u.nickname, u.bio, u.avatar, u.banner, u.is_admin, u.suspended_until, u.banned_at
+            FROM sessions s JOIN users u ON s.user_id = u.id
+            WHERE s.token_hash = ?`, [hashToken(token)], (err, row) => {
+        if (err || !row) return next();
+        // 封禁时会清除会话，这里再做一次兜底
+        if (row.expires_at < Date.now() || row.banned_at) {
+            db.run(`DELETE FROM sessions WHERE token_hash = ?`, [row.token_hash]);
+            return next();
+        }
+        req.sessionTokenHash = row.token_hash;
+        req.user = {
+            id: row.id, nickname: row.nickname, bio: row.bio, avatar: row.avatar, banner: row.banner, isAdmin: !!row.is_admin,
+            suspendedUntil: row.suspended_until > Date.now() ? row.suspended_until : null
+        };
+        next();
     });
 });
 
-// 删除推文
-app.delete('/api/tweets/:id', (req, res) => {
-    const { uid } = req.query;
-    const tweetId = req.params.id;
+// 需要登录的接口
+function requireAuth(req, res, next) {
+    if (!req.user) return res.status(401).json({ error: "Unauthorized: please log in." });
+    next();
+}
 
-    if (!uid) return res.status(401).json({ error: "Unauthorized" });
+// 被暂停使用的账号不能发布、评论和互动（未登录的请求交给后续的登录校验处理）
+function requireActiveUser(req, res, next) {
+    if (req.user && req.user.suspendedUntil) {
+        return res.status(403).json({
+            error: `账号已被暂停使用，${new Date(req.user.suspendedUntil).toLocaleString()} 后恢复`,
+            suspendedUntil: req.user.suspendedUntil
+        });
+    }
+    next();
+}
 
-    db.get(`SELECT author_uid, media FROM tweets WHERE id = ?`, [tweetId], (err, row) => {
-        if (err || !row) return res.status(404).json({ error: "Not found" });
-        if (row.author_uid !== uid) return res.status(403).json({ error: "No permission" });
+// 仅管理员可访问的接口
+function requireAdmin(req, res, next) {
+    if (!req.user) return res.status(401).json({ error: "Unauthorized: please log in." });
+    if (!req.user.isAdmin) return res.status(403).json({ error: "Forbidden: admin only." });
+    next();
+}
 
-        // 删除外键关联和推文。SQLite 配置了 ON DELETE CASCADE，所以会自动删除 comments 和 bookmarks
-        db.run(`DELETE FROM tweets WHERE id = ?`, [tweetId], (err) => {
-            if (err) return res.status(500).json({ error: err.message });
+// 定期清理过期会话
+setInterval(() => {
+    db.run(`DELETE FROM sessions WHERE expires_at < ?`, [Date.now()]);
+}, 60 * 60 * 1000).unref();
 
-            // 删除物理文件 (可选项，避免垃圾数据)
-            try {
-                const mediaArr = JSON.parse(row.media || "[]");
-                mediaArr.forEach(m => {
-                    if (m.url.startsWith('http://localhost:5000/uploads/')) {
-                        const filename = m.url.split('/').pop();
-                        const fp = path.join('./uploads', filename);
-                        if (fs.existsSync(fp)) fs.unlinkSync(fp);
-                    }
-                });
-            } catch (e) { console.error("Error deleting files:", e); }
+// === 限流与反垃圾 ===
+// 计数都保存在进程内存中，不依赖外部服务；重启后清零，多进程部署时各进程分别计数。
+// 规则见 config.js 中的 rateLimits 和 antiSpam
 
-            res.json({ success: true });
-        });
-    });
-});
+const ANTI_SPAM = config.antiSpam;
 
-// 获取单条推文详情
-app.get('/api/tweets/:id', (req, res) => {
-    db.get(`SELECT t.*, u.nickname AS registered_nick, u.avatar AS registered_avatar FROM tweets t LEFT JOIN users u ON t.author_uid = u.nickname WHERE t.id = ?`, [req.params.id], (err, r) => {
-        if (err) return res.status(500).json({ error: err.message });
-        if (!r) return res.status(404).json({ error: "Not found" });
+// 固定窗口计数: 规则名:ip|user:标识 -> { count, resetAt }
+const rateCounters = new Map();
 
-        db.all(`SELECT c.*, u.nickname AS registered_nick, u.avatar AS registered_avatar FROM comments c LEFT JOIN users u ON c.author_uid = u.nickname WHERE c.tweet_id = ? ORDER BY c.id DESC`, [r.id], (err, cmts) => {
-            res.json(formatTweet(r, cmts));
-        });
-    });
-});
+// 计一次数，超出 max 时返回还需等待的秒数，否则返回 0
+function consumeRate(key, max, windowMs) {
+    const now = Date.now();
+    let counter = rateCounters.get(key);
+    if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        rateCounters.set(key, counter);
+    }
+    counter.count++;
+    return counter.count > max ? Math.ceil((counter.resetAt - now) / 1000) : 0;
+}
 
-// 互动
-app.post('/api/tweets/:id/react', (req, res) => {
-    const { uid, type } = req.body;
+function formatWait(seconds) {
+    if (seconds < 60) return `${seconds} 秒`;
+    if (seconds < 60 * 60) return `${Math.ceil(seconds / 60)} 分钟`;
+    return `${Math.ceil(seconds / 3600)} 小时`;
+}
 
-    // 权限校验：缺少uid或是访客账号则拦截
-    if (!uid || uid.startsWith('visitor_')) {
+// 429 响应，Retry-After 为需要等待的秒数
+function sendTooManyRequests(res, retryAfter, error = `操作太频繁，请 ${formatWait(retryAfter)}后再试`) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error, retryAfter });
+}
+
+// 限流中间件，name 为 config.rateLimits 中的规则名。按 IP 计数，已登录时同时按账号计数
+function rateLimit(name) {
+    const rule = config.rateLimits[name];
+    const windowMs = rule.windowSeconds * 1000;
+    return (req, res, next) => {
+        let retryAfter = 0;
+        if (rule.perIp) retryAfter = consumeRate(`${name}:ip:${req.ip}`, rule.perIp, windowMs);
+        if (rule.perUser && req.user) {
+            retryAfter = Math.max(retryAfter, consumeRate(`${name}:user:${req.user.id}`, rule.perUser, windowMs));
+        }
+        if (retryAfter > 0) return sendTooManyRequests(res, retryAfter);
+        next();
+    };
+}
+
+// 不经过请求时 (例如定时发布) 按账号计一次数，超出时返回还需等待的秒数，否则返回 0
+function consumeUserRate(name, uid) {
+    const rule = config.rateLimits[name];
+    return rule.perUser ? consumeRate(`${name}:user:${uid}`, rule.perUser, rule.windowSeconds * 1000) : 0;
+}
+
+// 登录失败记录: 昵称 -> { failures, lockouts, lockedUntil, lastFailureAt }
+// 连续失败 loginMaxFailures 次后锁定该昵称，锁定时长从 loginLockoutSeconds 起每次翻倍，最长 loginMaxLockoutSeconds；
+// 登录成功或一天内没有再失败时清除记录
+const loginFailures = new Map();
+const LOGIN_FAILURE_RESET_MS = 24 * 60 * 60 * 1000;
+
+// 昵称被锁定时返回还需等待的秒数，否则返回 0
+function getLoginLockWait(nickname) {
+    const record = loginFailures.get(nickname);
+    if (!record) return 0;
+    const wait = record.lockedUntil - Date.now();
+    return wait > 0 ? Math.ceil(wait / 1000) : 0;
+}
+
+function recordLoginFailure(nickname) {
+    const now = Date.now();
+    let record = loginFailures.get(nickname);
+    if (!record || now - record.lastFailureAt > LOGIN_FAILURE_RESET_MS) {
+        record = { failures: 0, lockouts: 0, lockedUntil: 0, lastFailureAt: now };
+        loginFailures.set(nickname, record);
+    }
+    record.failures++;
+    record.lastFailureAt = now;
+    if (record.failures >= ANTI_SPAM.loginMaxFailures) {
+        const seconds = Math.min(ANTI_SPAM.loginLockoutSeconds * 2 ** record.lockouts, ANTI_SPAM.loginMaxLockoutSeconds);
+        record.lockedUntil = now + seconds * 1000;
+        record.lockouts++;
+        record.failures = 0;
+    }
+}
+
+function sendLoginLocked(res, retryAfter) {
+    sendTooManyRequests(res, retryAfter, `登录失败次数过多，请 ${formatWait(retryAfter)}后再试`);
+}
+
+// 最近发布过的内容: 类型:账号:内容哈希 -> 过期时间，用于拦截短时间内重复发布。
+// 太短的内容（例如“谢谢”）经常重复出现，不检查
+const recentPosts = new Map();
+const DUPLICATE_MIN_LENGTH = 10;
+const LINK_RE = /https?:\/\/|www\./gi;
+
+function recentPostKey(kind, uid, text) {
+    const normalized = text.trim().replace(/\s+/g, ' ').toLowerCase();
+    if (normalized.length < DUPLICATE_MIN_LENGTH) return null;
+    return `${kind}:${uid}:${crypto.createHash('sha256').update(normalized).digest('hex')}`;
+}
+
+// 推文和评论的最大字数，按字符 (码位) 计算，与前端的字数统计一致
+const CONTENT_MAX_LENGTH = { tweet: 5000, comment: 1000 };
+
+// 检查字数，超出时返回 { status, error }，否则返回 null
+function checkContentLength(kind, text) {
+    if (typeof text !== 'string' || text.length <= CONTENT_MAX_LENGTH[kind]) return null;
+    if (Array.from(text).length <= CONTENT_MAX_LENGTH[kind]) return null;
+    return { status: 400, error: `${kind === 'tweet' ? '推文' : '评论'}不能超过 ${CONTENT_MAX_LENGTH[kind]} 字` };
+}
+
+// 检查链接数量，超出时返回 { status, error }，否则返回 null
+function checkLinkCount(text) {
+    const links = typeof text === 'string' ? (text.match(LINK_RE) || []).length : 0;
+    if (links <= ANTI_SPAM.maxLinks) return null;
+    return { status: 400, error: `链接太多，每条最多 ${ANTI_SPAM.maxLinks} 个` };
+}
+
+// 发布推文或评论前的检查：字数、链接数量和重复内容。kind 为 'tweet' 或 'comment'；
+// 未通过时返回 { status, error, retryAfter? }，交给 sendRejected 响应
+function checkPostContent(kind, uid, text) {
+    const problem = checkContentLength(kind, text) || checkLinkCount(text);
+    if (problem || typeof text !== 'string') return problem;
+
+    const key = recentPostKey(kind, uid, text);
+    const expiresAt = key ? recentPosts.get(key) : 0;
+    if (!expiresAt || expiresAt <= Date.now()) return null;
+    const retryAfter = Math.ceil((expiresAt - Date.now()) / 1000);
+    return { status: 429, error: `不能重复发布相同的内容，请 ${formatWait(retryAfter)}后再试`, retryAfter };
+}
+
+// 发布成功后记录内容，duplicateWindowSeconds 内不能再次发布
+function rememberPostContent(kind, uid, text) {
+    if (typeof text !== 'string' || !ANTI_SPAM.duplicateWindowSeconds) return;
+    const key = recentPostKey(kind, uid, text);
+    if (key) recentPosts.set(key, Date.now() + ANTI_SPAM.duplicateWindowSeconds * 1000);
+}
+
+function sendRejected(res, { status, error, retryAfter }) {
+    if (retryAfter) return sendTooManyRequests(res, retryAfter, error);
+    res.status(status).json({ error });
+}
+
+// 定期清理过期的计数和记录
+setInterval(() => {
+    const now = Date.now();
+    rateCounters.forEach((counter, key) => { if (counter.resetAt <= now) rateCounters.delete(key); });
+    recentPosts.forEach((expiresAt, key) => { if (expiresAt <= now) recentPosts.delete(key); });
+    loginFailures.forEach((record, nickname) => {
+        if (record.lockedUntil <= now && now - record.lastFailureAt > LOGIN_FAILURE_RESET_MS) loginFailures.delete(nickname);
+    });
+}, 10 * 60 * 1000).unref();
+
+// === 昵称 ===
+// 用户以不可变的 id 区分，昵称可以修改。改名前的昵称记录在 nickname_history 中，保留 nicknameRedirectDays 天：
+// 期间访问旧昵称的主页会跳转到新昵称，其他用户也不能注册或改用这个昵称，避免冒用；本人可以改回来
+
+const NICKNAME_REDIRECT_MS = config.nicknameRedirectDays * 24 * 60 * 60 * 1000;
+const NICKNAME_MAX_LENGTH = 20;
+
+// 注册或改名时的昵称格式检查；JSON 请求体中的值可能不是字符串
+function isValidNickname(nickname) {
+    return typeof nickname === 'string' && nickname.length <= NICKNAME_MAX_LENGTH && NICKNAME_RE.test(nickname);
+}
+
+// 昵称是否已被其他用户使用或保留，exceptUserId 为当前用户（注册时为 null）
+function isNicknameTaken(nickname, exceptUserId, cb) {
+    db.get(`SELECT EXISTS (SELECT 1 FROM users WHERE nickname = ? AND id IS NOT ?)
+                OR EXISTS (SELECT 1 FROM nickname_history WHERE nickname = ? AND user_id IS NOT ? AND released_at > ?) AS taken`,
+        [nickname, exceptUserId, nickname, exceptUserId, Date.now() - NICKNAME_REDIRECT_MS], (err, row) => {
+            if (err) return cb(err);
+            cb(null, !!row.taken);
+        });
+}
+
+// 按昵称查找用户，找不到时查找保留期内改名前的昵称。cb(err, { id, nickname } 或 null)，nickname 为当前昵称
+function resolveNickname(nickname, cb) {
+    db.get(`SELECT id, nickname FROM users WHERE nickname = ?`, [nickname], (err, row) => {
+        if (err || row) return cb(err, row || null);
+        db.get(`SELECT u.id, u.nickname FROM nickname_history h JOIN users u ON u.id = h.user_id
+                WHERE h.nickname = ? AND h.released_at > ?`, [nickname, Date.now() - NICKNAME_REDIRECT_MS], (err, row) => {
+            cb(err, row || null);
+        });
+    });
+}
+
+// === 访问统计 ===
+// 推文浏览量和每日活跃访客，日期按服务器本地时区划分 (YYYY-MM-DD)。
+// 访客标识：登录用户为 user:<id>；游客为前端生成的游客 ID，通过 X-Visitor-Id 请求头发送。两者都没有的请求不计入
+
+const VISITOR_ID_RE = /^visitor_[A-Za-z0-9_-]{1,64}$/;
+
+// 本地时区的日期字符串
+function formatDay(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// 当前请求的访客标识，无法识别时返回 null
+function getActor(req) {
+    if (req.user) return `user:${req.user.id}`;
+    const visitorId = req.get('X-Visitor-Id');
+    return visitorId && VISITOR_ID_RE.test(visitorId) ? visitorId : null;
+}
+
+// 今天已经记录过的访客，避免每个请求都写数据库；跨天时清空
+let activeToday = { day: null, actors: new Set() };
+
+app.use('/api', (req, res, next) => {
+    const actor = getActor(req);
+    if (!actor) return next();
+
+    const day = formatDay(new Date());
+    if (activeToday.day !== day) activeToday = { day, actors: new Set() };
+    if (!activeToday.actors.has(actor)) {
+        activeToday.actors.add(actor);
+        db.run(`INSERT OR IGNORE INTO daily_active (day, actor) VALUES (?, ?)`, [day, actor]);
+    }
+    next();
+});
+
+// 记录一次推文浏览：每个访客每天对同一条推文只计一次，作者查看自己的推文不计。
+// 打开转发时计入原推文
+function recordTweetView(req, tweetId) {
+    const actor = getActor(req);
+    if (!actor) return;
+
+    const uid = req.user ? req.user.id : null;
+    db.run(`INSERT OR IGNORE INTO tweet_views (tweet_id, viewer, day)
+            SELECT o.id, ?, ? FROM tweets t JOIN tweets o ON o.id = COALESCE(t.repost_of, t.id)
+            WHERE t.id = ? AND o.hidden_at IS NULL AND (? IS NULL OR o.author_uid IS NOT ?)`,
+        [actor, formatDay(new Date()), tweetId, uid, uid]);
+}
+
+// === 接口: Auth ===
+
+// 注册
+app.post('/api/register', rateLimit('register'), (req, res) => {
+    const { nickname, password } = req.body || {};
+
+    if (!nickname || !password) return res.status(400).json({ error: "昵称和密码不能为空" });
+    if (typeof password !== 'string') return res.status(400).json({ error: "密码格式不正确" });
+    if (!isValidNickname(nickname)) {
+        return res.status(400).json({ error: `昵称只能包含大小写字母、数字、下划线和短横线，最多 ${NICKNAME_MAX_LENGTH} 个字符` });
+    }
+
+    isNicknameTaken(nickname, null, (err, taken) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (taken) return res.status(409).json({ error: "昵称已被注册，请尝试其他昵称" });
+
+        hashPassword(password, (err, passwordHash) => {
+            if (err) return res.status(500).json({ error: err.message });
+
+            db.run(`INSERT INTO users (nickname, password, created_at) VALUES (?, ?, ?)`, [nickname, passwordHash, Date.now()], function (err) {
+                if (err) {
+                    if (err.message.includes('UNIQUE constraint failed')) {
+                        return res.status(409).json({ error: "昵称已被注册，请尝试其他昵称" });
+                    }
+                    return res.status(500).json({ error: err.message });
+                }
+
+                // 保留期已过的旧记录不再指向别人
+                db.run(`DELETE FROM nickname_history WHERE nickname = ?`, [nickname]);
+
+                // 注册成功后直接登录
+                createSession(this.lastID, (err, session) => {
+                    if (err) return res.status(500).json({ error: err.message });
+                    res.status(201).json({ success: true, nickname, token: session.token, expiresAt: session.expiresAt });
+                });
+            });
+        });
+    });
+});
+
+// 登录
+app.post('/api/login', rateLimit('login'), (req, res) => {
+    const { nickname, password } = req.body || {};
+    if (!nickname || !password) return res.status(400).json({ error: "昵称和密码不能为空" });
+    if (typeof nickname !== 'string' || typeof password !== 'string') return res.status(400).json({ error: "昵称和密码格式不正确" });
+
+    const lockWait = getLoginLockWait(nickname);
+    if (lockWait) return sendLoginLocked(res, lockWait);
+
+    // 昵称不存在也计入失败次数，避免通过锁定与否判断昵称是否存在
+    const fail = () => {
+        recordLoginFailure(nickname);
+        const wait = getLoginLockWait(nickname);
+        if (wait) return sendLoginLocked(res, wait);
+        res.status(401).json({ error: "昵称不存在或密码错误" });
+    };
+
+    db.get(`SELECT * FROM users WHERE nickname = ?`, [nickname], (err, row) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!row) return fail();
+
+        verifyPassword(password, row.password, (err, ok) => {
+            if (err) return res.status(500).json({ error: err.message });
+            if (!ok) return fail();
+            loginFailures.delete(nickname);
+            if (row.banned_at) return res.status(403).json({ error: "该账号已被封禁" });
+
+            createSession(row.id, (err, session) => {
+                if (err) return res.status(500).json({ error: err.message });
+                res.json({
+                    success: true,
+                    token: session.token,
+                    expiresAt: session.expiresAt,
+                    user: { nickname: row.nickname, bio: row.bio, avatar: publicUrl(row.avatar), isAdmin: !!row.is_admin }
+                });
+            });
+        });
+    });
+});
+
+// 退出登录：作废当前会话
+app.post('/api/logout', (req, res) => {
+    if (!req.sessionTokenHash) return res.json({ success: true });
+    db.run(`DELETE FROM sessions WHERE token_hash = ?`, [req.sessionTokenHash], (err) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({ success: true });
+    });
+});
+
+// 校验昵称是否可用（已登录时自己的昵称和改名前的昵称视为可用）
+app.get('/api/check-nickname', (req, res) => {
+    const nickname = queryString(req.query.nickname);
+    if (!nickname) return res.json({ available: false });
+    isNicknameTaken(nickname, req.user ? req.user.id : null, (err, taken) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({ available: !taken });
+    });
+});
+
+// 资料中的头像和背景补全为完整地址
+function withPublicProfileUrls(row) {
+    return { ...row, avatar: publicUrl(row.avatar) || null, banner: publicUrl(row.banner) || null };
+}
+
+// 获取个人资料 (当前会话用户；未登录视为游客)
+app.get('/api/profile', (req, res) => {
+    if (!req.user) {
+        return res.json({ nickname: "游客账户", bio: "", avatar: null, banner: null, followersCount: 0, followingCount: 0, isVisitor: true });
+    }
+
+    db.get(`SELECT nickname, bio, avatar, banner, is_admin,
+                (SELECT COUNT(*) FROM follows WHERE followee_id = users.id) AS followersCount,
+                (SELECT COUNT(*) FROM follows WHERE follower_id = users.id) AS followingCount
+            FROM users WHERE id = ?`, [req.user.id], (err, row) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!row) return res.json({ nickname: "游客账户", bio: "", avatar: null, banner: null, followersCount: 0, followingCount: 0, isVisitor: true });
+        const { is_admin, ...profile } = row;
+        res.json({ ...withPublicProfileUrls(profile), isAdmin: !!is_admin, suspendedUntil: req.user.suspendedUntil, isVisitor: false });
+    });
+});
+
+// 更新个人资料。改名时旧昵称记入 nickname_history，见上方“昵称”
+app.post('/api/profile', requireAuth, receiveMedia(PROFILE_MEDIA_FIELDS), (req, res) => {
+    const { bio, newNickname } = req.body;
+    const uid = req.user.id;
+
+    db.get(`SELECT nickname FROM users WHERE id = ?`, [uid], (err, row) => {
+        if (err || !row) return res.status(403).json({ error: "用户不存在，请先注册" });
+
+        const oldNickname = row.nickname;
+        const renamed = !!newNickname && newNickname !== oldNickname;
+        let updates = [];
+        let params = [];
+        if (renamed) {
+            if (!isValidNickname(newNickname)) {
+                return res.status(400).json({ error: `昵称只能包含大小写字母、数字、下划线和短横线，最多 ${NICKNAME_MAX_LENGTH} 个字符` });
+            }
+            updates.push("nickname = ?");
+            params.push(newNickname);
+        }
+        if (bio !== undefined) {
+            updates.push("bio = ?");
+            params.push(bio);
+        }
+        // 替换下来的旧头像和背景不在这里删除，由 scripts/clean_uploads.js 统一清理
+        if (req.media.avatar) {
+            updates.push("avatar = ?");
+            params.push(req.media.avatar[0].url);
+        }
+        if (req.media.banner) {
+            updates.push("banner = ?");
+            params.push(req.media.banner[0].url);
+        }
+
+        const sendProfile = () => {
+            db.get(`SELECT nickname, bio, avatar, banner FROM users WHERE id = ?`, [uid], (err, finalRow) => {
+                res.json(withPublicProfileUrls(finalRow));
+            });
+        };
+        if (updates.length === 0) return sendProfile();
+
+        const checkNickname = renamed ? (next) => isNicknameTaken(newNickname, uid, next) : (next) => next(null, false);
+        checkNickname((err, taken) => {
+            if (err) return res.status(500).json({ error: err.message });
+            if (taken) return res.status(409).json({ error: "昵称已被占用" });
+
+            params.push(uid);
+            db.run(`UPDATE users SET ${updates.join(', ')} WHERE id = ?`, params, function (err) {
+                if (err) {
+                    if (err.message.includes('UNIQUE constraint failed')) {
+                        return res.status(409).json({ error: "昵称已被占用" });
+                    }
+                    return res.status(500).json({ error: err.message });
+                }
+                if (!renamed) return sendProfile();
+
+                runStatements(db, [
+                    [`DELETE FROM nickname_history WHERE nickname = ?`, [newNickname]],
+                    [`INSERT OR REPLACE INTO nickname_history (nickname, user_id, released_at) VALUES (?, ?, ?)`, [oldNickname, uid, Date.now()]]
+                ], (err) => {
+                    if (err) console.error("记录改名前的昵称失败:", err.message);
+                    sendProfile();
+                });
+            });
+        });
+    });
+});
+
+// 注销账号
+app.delete('/api/profile', requireAuth, (req, res) => {
+    const uid = req.user.id;
+
+    // 该用户评论过的推文，删除评论后需要重建它们的全文索引并推送新的评论数
+    db.all(`SELECT DISTINCT tweet_id FROM comments WHERE author_uid = ?`, [uid], (err, commented) => {
+        if (err) return res.status(500).json({ error: err.message });
+
+        db.all(`SELECT id FROM tweets WHERE author_uid = ?`, [uid], (err, tweets) => {
+            if (err) return res.status(500).json({ error: err.message });
+
+            // 推文逐条按删除推文的流程处理：删除媒体文件，推送 tweet_deleted，其下的评论和对它的转发一起删除。
+            // 中途失败时账号保留，已删除的推文不恢复，重试即可继续
+            series(tweets.map(t => (next) => deleteTweet(t.id, next)), (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+
+                // 再删除会话、收藏、草稿、评论（连同其他人对这些评论的回复），最后删除用户；任一步失败时整体回滚
+                runTransaction(db, [
+                    [`DELETE FROM sessions WHERE user_id = ?`, [uid]],
+                    [`DELETE FROM bookmarks WHERE user_id = ?`, [uid]],
+                    [`DELETE FROM drafts WHERE author_uid = ?`, [uid]],
+                    [`DELETE FROM comments WHERE parent_id IN (SELECT id FROM comments WHERE author_uid = ?)`, [uid]],
+                    [`DELETE FROM comments WHERE author_uid = ?`, [uid]],
+                    [`DELETE FROM users WHERE id = ?`, [uid]]
+                ], (err) => {
+                    if (err) return res.status(500).json({ error: err.message });
+                    commented.forEach(c => refreshCommentedTweet(c.tweet_id));
+                    res.json({ success: true });
+                });
+            });
+        });
+    });
+});
+
+// === 接口: 数据导出与导入 ===
+
+// 导出的压缩包结构：
+// manifest.json   格式版本、导出时间、各文件说明和数量、包含的上传文件列表
+// profile.json    昵称、简介、头像和背景（file 为压缩包内的路径）
+// tweets.json     发布的推文（含标签、媒体、发布时间、最后编辑时间和编辑历史，引用时附带被引用推文的 id）
+// comments.json   发表的评论和回复
+// reactions.json  对推文的表情回应 (tweets)、对评论的点赞 (comments) 和转发 (reposts)
+// bookmarks.json  收藏的推文（附带作者和正文，原推文不在时也能看到收藏的内容）
+// uploads/        uploads/users/<用户 id>/ 下的所有文件，以及推文和资料引用的其他上传文件（例如早期上传到 uploads/<昵称>/ 的文件），路径与服务器上相同
+const EXPORT_FORMAT = 'public_website-export';
+// 版本 2 起 createdAt / editedAt 均为 ISO 时间，推文附带编辑历史 (revisions)
+const EXPORT_VERSION = 2;
+const EXPORT_FILES = {
+    'profile.json': '个人资料',
+    'tweets.json': '发布的推文',
+    'comments.json': '发表的评论',
+    'reactions.json': '对推文的回应、对评论的点赞和转发',
+    'bookmarks.json': '收藏的推文',
+    'uploads/': '上传的图片和视频'
+};
+// 导入的压缩包大小上限，以及解压后的总大小上限（防止压缩炸弹）
+const ARCHIVE_MAX_SIZE = 500 * 1024 * 1024;
+const ARCHIVE_MAX_UNPACKED_SIZE = 1024 * 1024 * 1024;
+
+const archiveUpload = multer({ storage: uploadTmpStorage, limits: { fileSize: ARCHIVE_MAX_SIZE } });
+
+// 上传文件在压缩包内的路径 (uploads/<相对路径>)，不是本站公开上传的文件时返回 null
+function archivePathFromUrl(url) {
+    const fp = uploadPathFromUrl(url);
+    if (!fp || !url.startsWith(UPLOAD_URL_PREFIX)) return null;
+    return 'uploads/' + path.relative(path.resolve(UPLOAD_DIR), fp).split(path.sep).join('/');
+}
+
+// 递归列出目录下的文件（相对 uploads 的路径），目录不存在时返回空数组
+function listUploadFiles(dir, cb) {
+    fs.readdir(path.join(UPLOAD_DIR, dir), { withFileTypes: true }, (err, entries) => {
+        if (err) return cb(err.code === 'ENOENT' ? null : err, []);
+        const files = [];
+        series(entries.map(entry => (next) => {
+            const rel = `${dir}/${entry.name}`;
+            if (!entry.isDirectory()) {
+                files.push(rel);
+                return next();
+            }
+            listUploadFiles(rel, (err, nested) => {
+                files.push(...nested);
+                next(err);
+            });
+        }), (err) => cb(err, files));
+    });
+}
+
+// 推文和评论的 id 即创建时的毫秒时间戳，旧数据不是数字时返回 null
+function idToIsoTime(id) {
+    const ms = Number(id);
+    return Number.isFinite(ms) && ms > 0 ? new Date(ms).toISOString() : null;
+}
+
+function msToIsoTime(ms) {
+    return ms ? new Date(ms).toISOString() : null;
+}
+
+function isoToMs(value) {
+    const ms = Date.parse(value);
+    return Number.isFinite(ms) ? ms : Date.now();
+}
+
+// 作者的当前昵称（早期没有账号的作者为原来的名字），a 为用户表别名，r 为推文或评论表别名
+const authorName = (a, r) => `COALESCE(${a}.nickname, ${r}.legacy_author)`;
+
+// 查询导出所需的全部数据
+function collectExportData(uid, cb) {
+    const data = {};
+    const queries = [
+        ['profile', 'get', `SELECT nickname, bio, avatar, banner FROM users WHERE id = ?`],
+        ['tweets', 'all', `${TWEET_SELECT} WHERE t.author_uid = ? AND t.repost_of IS NULL ORDER BY t.id`],
+        ['revisions', 'all', `SELECT v.* FROM tweet_revisions v JOIN tweets t ON t.id = v.tweet_id WHERE t.author_uid = ? ORDER BY v.id`],
+        ['comments', 'all', `SELECT c.id, c.tweet_id, c.parent_id, c.text, c.timestamp, c.hidden_at, ${authorName('a', 't')} AS tweet_author
+            FROM comments c LEFT JOIN tweets t ON t.id = c.tweet_id LEFT JOIN users a ON a.id = t.author_uid
+            WHERE c.author_uid = ? ORDER BY c.id`],
+        ['tweetReactions', 'all', `SELECT r.tweet_id, r.type, r.created_at, ${authorName('a', 't')} AS tweet_author
+            FROM tweet_reactions r LEFT JOIN tweets t ON t.id = r.tweet_id LEFT JOIN users a ON a.id = t.author_uid
+            WHERE r.user_id = ? ORDER BY r.rowid`],
+        ['commentLikes', 'all', `SELECT l.comment_id, l.created_at, c.tweet_id, ${authorName('a', 'c')} AS comment_author
+            FROM comment_likes l LEFT JOIN comments c ON c.id = l.comment_id LEFT JOIN users a ON a.id = c.author_uid
+            WHERE l.user_id = ? ORDER BY l.rowid`],
+        ['reposts', 'all', `SELECT rp.repost_of, rp.created_at, ${authorName('a', 't')} AS tweet_author
+            FROM tweets rp JOIN tweets t ON t.id = rp.repost_of LEFT JOIN users a ON a.id = t.author_uid
+            WHERE rp.author_uid = ? ORDER BY rp.id`],
+        ['bookmarks', 'all', `SELECT b.tweet_id, b.timestamp, ${authorName('a', 't')} AS tweet_author, t.content AS tweet_content
+            FROM bookmarks b LEFT JOIN tweets t ON t.id = b.tweet_id LEFT JOIN users a ON a.id = t.author_uid
+            WHERE b.user_id = ? ORDER BY b.rowid`]
+    ];
+    series(queries.map(([key, method, sql]) => (next) => {
+        db[method](sql, [uid], (err, result) => {
+            data[key] = result;
+            next(err);
+        });
+    }), (err) => cb(err, data));
+}
+
+// 导出当前用户的数据，返回 zip 压缩包
+app.get('/api/profile/export', requireAuth, (req, res) => {
+    const uid = req.user.id;
+
+    collectExportData(uid, (err, data) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!data.profile) return res.status(404).json({ error: "用户不存在" });
+
+        // 需要打包的上传文件：压缩包内路径 -> 本地路径
+        const files = new Map();
+        const addFile = (url) => {
+            const archivePath = archivePathFromUrl(url);
+            if (archivePath) files.set(archivePath, uploadPathFromUrl(url));
+            return archivePath;
+        };
+
+        const profile = {
+            nickname: data.profile.nickname,
+            bio: data.profile.bio,
+            avatar: data.profile.avatar ? { file: addFile(data.profile.avatar), url: publicUrl(data.profile.avatar) } : null,
+            banner: data.profile.banner ? { file: addFile(data.profile.banner), url: publicUrl(data.profile.banner) } : null
+        };
+
+        const exportMedia = (list) => list.map(m => ({ file: addFile(m.url), url: publicUrl(m.url), type: m.type, width: m.width, height: m.height }));
+        const revisionsByTweet = {};
+        data.revisions.forEach(v => {
+            (revisionsByTweet[v.tweet_id] = revisionsByTweet[v.tweet_id] || []).push({
+                content: v.content,
+                tags: parseJsonArray(v.tags_json),
+                media: exportMedia(parseJsonArray(v.media_json)),
+                createdAt: msToIsoTime(v.created_at),
+                replacedAt: msToIsoTime(v.replaced_at)
+            });
+        });
+
+        const tweets = data.tweets.map(r => {
+            const tweet = formatTweet(r);
+            return {
+                id: r.id,
+                content: r.content,
+                tags: tweet.tags,
+                hashtags: tweet.hashtags,
+                media: exportMedia(parseJsonArray(r.media_json)),
+                quoteOf: r.quote_of || null,
+                createdAt: msToIsoTime(r.created_at) || idToIsoTime(r.id),
+                timestamp: r.timestamp,
+                editedAt: msToIsoTime(r.edited_at),
+                revisions: revisionsByTweet[r.id] || [],
+                reactions: tweet.reactions,
+                commentCount: tweet.commentCount,
+                hidden: !!r.hidden_at
+            };
+        });
+
+        const comments = data.comments.map(c => ({
+            id: c.id,
+            tweetId: c.tweet_id,
+            tweetAuthor: c.tweet_author,
+            parentId: c.parent_id,
+            text: c.text,
+            createdAt: idToIsoTime(c.id),
+            timestamp: c.timestamp,
+            hidden: !!c.hidden_at
+        }));
+
+        const reactions = {
+            tweets: data.tweetReactions.map(r => ({ tweetId: r.tweet_id, tweetAuthor: r.tweet_author, type: r.type, createdAt: new Date(r.created_at).toISOString() })),
+            comments: data.commentLikes.map(l => ({ commentId: l.comment_id, tweetId: l.tweet_id, commentAuthor: l.comment_author, createdAt: new Date(l.created_at).toISOString() })),
+            reposts: data.reposts.map(r => ({ tweetId: r.repost_of, tweetAuthor: r.tweet_author, createdAt: msToIsoTime(r.created_at) }))
+        };
+
+        const bookmarks = data.bookmarks.map(b => ({ tweetId: b.tweet_id, tweetAuthor: b.tweet_author, tweetContent: b.tweet_content, timestamp: b.timestamp }));
+
+        listUploadFiles(userUploadDir(uid), (err, ownFiles) => {
+            if (err) return res.status(500).json({ error: err.message });
+            ownFiles.forEach(rel => files.set(`uploads/${rel}`, path.join(UPLOAD_DIR, rel)));
+
+            const zip = new AdmZip();
+            const uploads = [];
+            series([...files].map(([archivePath, localPath]) => (next) => {
+                fs.readFile(localPath, (err, buf) => {
+                    // 数据库中引用、但文件已经不存在的，不中断导出
+                    if (err) return next(err.code === 'ENOENT' ? null : err);
+                    zip.addFile(archivePath, buf);
+                    uploads.push(archivePath);
+                    next();
+                });
+            }), (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+
+                const manifest = {
+                    format: EXPORT_FORMAT,
+                    version: EXPORT_VERSION,
+                    exportedAt: new Date().toISOString(),
+                    user: data.profile.nickname,
+                    files: EXPORT_FILES,
+                    counts: {
+                        tweets: tweets.length,
+                        comments: comments.length,
+                        tweetReactions: reactions.tweets.length,
+                        commentLikes: reactions.comments.length,
+                        reposts: reactions.reposts.length,
+                        bookmarks: bookmarks.length,
+                        uploads: uploads.length
+                    },
+                    uploads: uploads.sort()
+                };
+                const json = (value) => Buffer.from(JSON.stringify(value, null, 2));
+                zip.addFile('manifest.json', json(manifest));
+                zip.addFile('profile.json', json(profile));
+                zip.addFile('tweets.json', json(tweets));
+                zip.addFile('comments.json', json(comments));
+                zip.addFile('reactions.json', json(reactions));
+                zip.addFile('bookmarks.json', json(bookmarks));
+
+                const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+                res.attachment(`${data.profile.nickname}-data-${date}.zip`);
+                res.type('application/zip');
+                res.send(zip.toBuffer());
+            });
+        });
+    });
+});
+
+// 接收导入的压缩包，保存在 req.file
+function receiveArchive(req, res, next) {
+    archiveUpload.single('archive')(req, res, (err) => {
+        if (err) {
+            if (req.file) fs.unlink(req.file.path, () => { });
+            if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: `压缩包不能超过 ${ARCHIVE_MAX_SIZE / 1024 / 1024}MB` });
+            if (err instanceof multer.MulterError) return res.status(400).json({ error: `上传失败: ${err.message}` });
+            return next(err);
+        }
+        if (!req.file) return res.status(400).json({ error: "请选择要导入的数据压缩包" });
+        next();
+    });
+}
+
+// 从压缩包中取出一个上传文件，按普通上传的规则校验并转存到 uploads/<dir>/
+// 压缩包中没有该文件或文件不合格时返回 null（跳过该文件，不中断导入）
+function importArchiveFile(entries, archivePath, dir, options, cb) {
+    const entry = archivePath && entries.get(archivePath);
+    if (!entry || entry.header.size > MEDIA_SIZE_LIMITS.video) return cb(null, null);
+
+    const tmpPath = path.join(UPLOAD_TMP_DIR, crypto.randomBytes(16).toString('hex'));
+    fs.writeFile(tmpPath, entry.getData(), (err) => {
+        if (err) return cb(err);
+        const file = { path: tmpPath, size: entry.header.size, originalname: path.posix.basename(archivePath) };
+        storeUploadedFile(file, dir, options, (err, media) => {
+            if (!err) return cb(null, media);
+            fs.unlink(tmpPath, () => cb(err.status === 400 ? null : err, null));
+        });
+    });
+}
+
+// 每张表最近分配的 id。分配后到写入前数据库中还查不到这个 id，同时分配的请求靠它避开彼此
+const lastAllocatedIds = new Map();
+
+// 分配推文或评论 id（id 即创建时间，决定排列顺序），preferred 与已有的记录或刚分配的 id 冲突时往后顺延
+function allocateId(table, preferred, cb) {
+    const id = Math.max(/^\d+$/.test(preferred) ? Number(preferred) : Date.now(), (lastAllocatedIds.get(table) || 0) + 1);
+    lastAllocatedIds.set(table, id);
+    db.get(`SELECT 1 FROM ${table} WHERE id = ?`, [String(id)], (err, row) => {
+        if (err) return cb(err);
+        if (!row) return cb(null, String(id));
+        allocateId(table, String(id + 1), cb);
+    });
+}
+
+// 导入的推文和评论一律使用本站分配的新 id，压缩包中的 id 只用来对应引用关系，避免伪造的 id 排到列表最前面。
+// 新 id 取当前时间且大于上一条导入记录的 id，保持导入内容之间的先后顺序
+function nextImportId(lastId) {
+    return String(Math.max(Date.now(), Number(lastId || 0) + 1));
+}
+
+// 导入 /api/profile/export 导出的压缩包 (multipart 字段 archive)，恢复到当前账号。
+// 只能导入到还没有发布过推文和评论的账号，避免重复导入。
+// 恢复简介、头像、背景、推文（含媒体）、自己推文下的评论，以及对这些推文和评论的回应、点赞和收藏；
+// 引用自己推文的推文恢复引用关系，引用其他用户推文的只保留正文；
+// 其他用户的推文在本站不存在，对它们的评论、回应和收藏会被跳过；推文和评论按发布时的规则检查字数、链接数量和重复内容，
+// 未通过的同样跳过。跳过的数量在 skipped 中返回
+app.post('/api/profile/import', requireAuth, requireActiveUser, rateLimit('import'), receiveArchive, (req, res) => {
+    const uid = req.user.id;
+
+    let entries;
+    let archive;
+    try {
+        const zip = new AdmZip(req.file.path);
+        entries = new Map(zip.getEntries().filter(e => !e.isDirectory).map(e => [e.entryName, e]));
+        const unpackedSize = [...entries.values()].reduce((sum, e) => sum + e.header.size, 0);
+        if (unpackedSize > ARCHIVE_MAX_UNPACKED_SIZE) {
+            return res.status(400).json({ error: "压缩包解压后过大" });
+        }
+
+        const readJson = (name, fallback) => {
+            const entry = entries.get(name);
+            if (!entry) return fallback;
+            return JSON.parse(entry.getData().toString('utf8'));
+        };
+        const manifest = readJson('manifest.json', null);
+        if (!manifest || manifest.format !== EXPORT_FORMAT) {
+            return res.status(400).json({ error: "不是本站导出的数据压缩包" });
+        }
+        if (manifest.version > EXPORT_VERSION) {
+            return res.status(400).json({ error: "压缩包由更新版本的服务器导出，无法导入" });
+        }
+        archive = {
+            profile: readJson('profile.json', {}) || {},
+            tweets: readJson('tweets.json', []),
+            comments: readJson('comments.json', []),
+            reactions: readJson('reactions.json', {}) || {},
+            bookmarks: readJson('bookmarks.json', [])
+        };
+        if (![archive.tweets, archive.comments, archive.bookmarks].every(Array.isArray)) {
+            return res.status(400).json({ error: "压缩包内容格式错误" });
+        }
+    } catch (e) {
+        return res.status(400).json({ error: e instanceof SyntaxError ? "压缩包内容格式错误" : "不是有效的 zip 压缩包" });
+    } finally {
+        fs.unlink(req.file.path, () => { });
+    }
+
+    const imported = { tweets: 0, comments: 0, tweetReactions: 0, commentLikes: 0, bookmarks: 0, media: 0 };
+    const skipped = { tweets: 0, comments: 0, tweetReactions: 0, commentLikes: 0, bookmarks: 0, media: 0 };
+    const tweetIds = new Map();
+    const commentIds = new Map();
+    let lastTweetId = null;
+    let lastCommentId = null;
+    const stored = [];
+    const profileUpdates = {};
+
+    const storeFile = (archivePath, options, cb) => {
+        importArchiveFile(entries, archivePath, userUploadDir(uid), options, (err, media) => {
+            if (err) return cb(err);
+            if (media) {
+                stored.push(media);
+                imported.media++;
+            } else if (archivePath) {
+                skipped.media++;
+            }
+            cb(null, media);
+        });
+    };
+
+    // 推文和编辑历史引用的媒体：同一个文件只转存一次
+    const tweetMediaByPath = new Map();
+    const storeTweetMedia = (list, cb) => {
+        const media = [];
+        series((Array.isArray(list) ? list : []).map(m => (next) => {
+            const archivePath = m && m.file;
+            if (archivePath && tweetMediaByPath.has(archivePath)) {
+                const item = tweetMediaByPath.get(archivePath);
+                if (item) media.push(item);
+                return next();
+            }
+            storeFile(archivePath, TWEET_MEDIA_FIELDS.files, (err, item) => {
+                if (archivePath) tweetMediaByPath.set(archivePath, item);
+                if (item) media.push(item);
+                next(err);
+            });
+        }), (err) => cb(err, media));
+    };
+    const parseTags = (tags) => (Array.isArray(tags) ? tags : []).filter(tag => typeof tag === 'string' && tag.trim()).map(tag => tag.trim());
+
+    const tasks = [
+        (next) => {
+            db.get(`SELECT EXISTS (SELECT 1 FROM tweets WHERE author_uid = ?) OR EXISTS (SELECT 1 FROM comments WHERE author_uid = ?) AS used`,
+                [uid, uid], (err, row) => {
+                    if (err) return next(err);
+                    if (row.used) {
+                        const conflict = new Error("只能导入到还没有发布过推文和评论的账号");
+                        conflict.status = 409;
+                        return next(conflict);
+                    }
+                    next();
+                });
+        },
+        // 资料：头像和背景按修改资料时的规则重新处理
+        (next) => {
+            const { bio, avatar, banner } = archive.profile;
+            if (typeof bio === 'string') profileUpdates.bio = bio;
+            storeFile(avatar && avatar.file, PROFILE_MEDIA_FIELDS.avatar, (err, media) => {
+                if (err) return next(err);
+                if (media) profileUpdates.avatar = media.url;
+                storeFile(banner && banner.file, PROFILE_MEDIA_FIELDS.banner, (err, media) => {
+                    if (err) return next(err);
+                    if (media) profileUpdates.banner = media.url;
+                    next();
+                });
+            });
+        },
+        // 推文：媒体按发布推文的规则重新校验并生成缩略图，保留发布时间、编辑时间和编辑历史
+        (next) => {
+            series(archive.tweets.map(t => (done) => {
+                if (!t || typeof t.id !== 'string' || typeof t.content !== 'string' || checkPostContent('tweet', uid, t.content)) {
+                    skipped.tweets++;
+                    return done();
+                }
+                const revisions = (Array.isArray(t.revisions) ? t.revisions : []).filter(v => v && typeof v.content === 'string');
+                const revisionMedia = [];
+
+                storeTweetMedia(t.media, (err, media) => {
+                    if (err) return done(err);
+                    series(revisions.map(v => (stepDone) => {
+                        storeTweetMedia(v.media, (err, list) => {
+                            revisionMedia.push(list);
+                            stepDone(err);
+                        });
+                    }), (err) => {
+                        if (err) return done(err);
+                        allocateId('tweets', nextImportId(lastTweetId), (err, id) => {
+                            if (err) return done(err);
+                            lastTweetId = id;
+                            // 发布时间不能晚于导入时间
+                            const createdAt = Math.min(t.createdAt ? isoToMs(t.createdAt) : (Number(t.id) || Date.now()), Date.now());
+                            // 早期导出的 editedAt 是显示文本，无法解析时按发布时间处理
+                            const editedAt = t.editedAt ? Date.parse(t.editedAt) || createdAt : null;
+
+                            const statements = [[`INSERT INTO tweets (id, author_uid, content, timestamp, created_at, edited_at, hidden_at) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                                [id, uid, t.content, new Date(createdAt).toLocaleString(), createdAt, editedAt, t.hidden ? Date.now() : null]]];
+                            revisions.forEach((v, i) => {
+                                statements.push([`INSERT INTO tweet_revisions (tweet_id, content, tags_json, media_json, created_at, replaced_at) VALUES (?, ?, ?, ?, ?, ?)`,
+                                    [id, v.content, JSON.stringify(parseTags(v.tags)), JSON.stringify(revisionMedia[i]), v.createdAt ? isoToMs(v.createdAt) : null, v.replacedAt ? isoToMs(v.replacedAt) : createdAt]]);
+                            });
+                            runStatements(db, statements, (err) => {
+                                if (err) return done(err);
+                                tweetIds.set(t.id, id);
+                                imported.tweets++;
+                                rememberPostContent('tweet', uid, t.content);
+                                saveTweetRelations(id, { tags: parseTags(t.tags), content: t.content, media }, done);
+                            });
+                        });
+                    });
+                });
+            }), next);
+        },
+        // 评论：只恢复自己推文下的评论；回复的上级评论也必须是导入的评论
+        (next) => {
+            series(archive.comments.map(c => (done) => {
+                const tweetId = c && tweetIds.get(c.tweetId);
+                const parentId = c && c.parentId ? commentIds.get(c.parentId) : null;
+                if (!tweetId || typeof c.id !== 'string' || typeof c.text !== 'string' || parentId === undefined
+                    || checkPostContent('comment', uid, c.text)) {
+                    skipped.comments++;
+                    return done();
+                }
+                allocateId('comments', nextImportId(lastCommentId), (err, id) => {
+                    if (err) return done(err);
+                    lastCommentId = id;
+                    const timestamp = typeof c.timestamp === 'string' ? c.timestamp : new Date().toLocaleString();
+                    db.run(`INSERT INTO comments (id, tweet_id, author_uid, text, timestamp, parent_id, hidden_at) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                        [id, tweetId, uid, c.text, timestamp, parentId, c.hidden ? Date.now() : null], (err) => {
+                            if (err) return done(err);
+                            commentIds.set(c.id, id);
+                            imported.comments++;
+                            rememberPostContent('comment', uid, c.text);
+                            saveCommentRelations(id, c.text, done);
+                        });
+                });
+            }), next);
+        },
+        // 引用、回应、点赞和收藏：只恢复指向导入的推文和评论的记录
+        (next) => {
+            const statements = [];
+            archive.tweets.forEach(t => {
+                const id = t && tweetIds.get(t.id);
+                const quoteOf = id && t.quoteOf && tweetIds.get(t.quoteOf);
+                if (quoteOf) statements.push([`UPDATE tweets SET quote_of = ? WHERE id = ?`, [quoteOf, id]]);
+            });
+            const tweetReactions = Array.isArray(archive.reactions.tweets) ? archive.reactions.tweets : [];
+            const commentLikes = Array.isArray(archive.reactions.comments) ? archive.reactions.comments : [];
+
+            tweetReactions.forEach(r => {
+                const tweetId = r && tweetIds.get(r.tweetId);
+                if (!tweetId || !REACTION_TYPES.includes(r.type)) return skipped.tweetReactions++;
+                statements.push([`INSERT OR IGNORE INTO tweet_reactions (tweet_id, user_id, type, created_at) VALUES (?, ?, ?, ?)`,
+                    [tweetId, uid, r.type, isoToMs(r.createdAt)]]);
+                imported.tweetReactions++;
+            });
+            commentLikes.forEach(l => {
+                const commentId = l && commentIds.get(l.commentId);
+                if (!commentId) return skipped.commentLikes++;
+                statements.push([`INSERT OR IGNORE INTO comment_likes (comment_id, user_id, created_at) VALUES (?, ?, ?)`,
+                    [commentId, uid, isoToMs(l.createdAt)]]);
+                imported.commentLikes++;
+            });
+            archive.bookmarks.forEach(b => {
+                const tweetId = b && tweetIds.get(b.tweetId);
+                if (!tweetId) return skipped.bookmarks++;
+                statements.push([`INSERT OR IGNORE INTO bookmarks (user_id, tweet_id, timestamp) VALUES (?, ?, ?)`,
+                    [uid, tweetId, typeof b.timestamp === 'string' ? b.timestamp : new Date().toLocaleString()]]);
+                imported.bookmarks++;
+            });
+
+            const columns = Object.keys(profileUpdates);
+            if (columns.length > 0) {
+                statements.push([`UPDATE users SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+                    [...columns.map(c => profileUpdates[c]), uid]]);
+            }
+            runStatements(db, statements, next);
+        },
+        // 评论写入后再建立全文索引，评论内容也能被搜索到
+        (next) => series([...tweetIds.values()].map(id => (done) => indexTweet(id, done)), next)
+    ];
+
+    series(tasks, (err) => {
+        if (err) {
+            // 还没有写入推文时（例如账号已有内容）删除已转存的文件；已写入的部分保留，重试会因账号已有内容而被拒绝
+            if (tweetIds.size === 0) removeUploadedFiles(stored.flatMap(m => [m.url, m.thumbUrl]));
+            return res.status(err.status || 500).json({ error: err.message });
+        }
+        res.json({ success: true, imported, skipped });
+    });
+});
+
+// === 接口: 推文 ===
+
+// 获取推文列表 (带 JOIN 获取最新头像昵称)
+// 查询参数: search (支持短语、from:、#tag，见 parseSearchQuery), tags (逗号分隔), author,
+//          feed=following (只看已关注用户，需登录), limit, before
+// 返回: { tweets, nextCursor }，nextCursor 为 null 表示没有更多
+// 有全文关键词时按相关度排序，游标为结果偏移量，且每条推文附带 snippet 高亮片段；否则按 id 倒序，游标为推文 id
+// 原推文被隐藏时，对它的转发也不显示
+const VISIBLE_REPOST_CONDITION = `(t.repost_of IS NULL OR EXISTS (SELECT 1 FROM tweets o WHERE o.id = t.repost_of AND o.hidden_at IS NULL))`;
+
+app.get('/api/tweets', (req, res) => {
+    const [search, tags, author, feed] = ['search', 'tags', 'author', 'feed'].map(key => queryString(req.query[key]));
+    const { limit, before } = getPageParams(req.query);
+    const viewer = req.user ? req.user.id : null;
+    const parsed = parseSearchQuery(search);
+    const ftsQuery = buildFtsQuery(parsed.terms);
+    const where = ['t.hidden_at IS NULL', VISIBLE_REPOST_CONDITION];
+    const params = [];
+
+    // 搜索词全是标点等无法检索的内容时直接返回空结果，而不是退化为全部推文
+    if (search && search.trim() && !ftsQuery && parsed.authors.length === 0 && parsed.tags.length === 0) {
+        return res.json({ tweets: [], nextCursor: null });
+    }
+
+    if (ftsQuery) {
+        where.push(`tweets_fts MATCH ?`);
+        params.push(ftsQuery);
+    }
+
+    // 搜索结果不包含转发（转发没有自己的内容）
+    if (search && search.trim()) where.push(`t.repost_of IS NULL`);
+
+    if (feed === 'following') {
+        if (!req.user) return res.status(401).json({ error: "Unauthorized: please log in." });
+        where.push(`t.author_uid IN (SELECT followee_id FROM follows WHERE follower_id = ?)`);
+        params.push(req.user.id);
+    }
+
+    // 按作者昵称过滤（早期没有账号的作者按原来的名字）
+    const authors = parsed.authors.concat(author ? [author] : []);
+    if (authors.length > 0) {
+        where.push(`(${authors.map(() => '(u.nickname = ? OR t.legacy_author = ?)').join(' OR ')})`);
+        authors.forEach(name => params.push(name, name));
+    }
+
+    // Tag 过滤：只返回包含所有指定 tag 的推文（不区分大小写）。
+    // 推文的标签（填写的和正文中的 #标签）或其任一评论中的 #标签 命中都算包含
+    const requiredTags = parsed.tags.concat(tags ? tags.split(',').map(t => t.trim().toLowerCase()).filter(t => t) : []);
+    requiredTags.forEach(tag => {
+        where.push(`(EXISTS (SELECT 1 FROM tweet_tags g WHERE g.tweet_id = t.id AND g.tag = ? COLLATE NOCASE)
+            OR EXISTS (SELECT 1 FROM comment_tags ct JOIN comments c ON c.id = ct.comment_id WHERE c.tweet_id = t.id AND ct.tag = ? COLLATE NOCASE))`);
+        params.push(tag, tag);
+    });
+
+    let query;
+    if (ftsQuery) {
+        const offset = parseInt(before, 10) || 0;
+        // bm25 权重依次对应 tweet_id, content, tags, comments 列：正文和标签的匹配比评论更重要
+        query = `
+            SELECT ${TWEET_COLUMNS},
+                highlight(tweets_fts, 1, char(2), char(3)) AS content_highlight,
+                snippet(tweets_fts, 3, char(2), char(3), '…', 16) AS comment_snippet
+            FROM tweets_fts
+            JOIN tweets t ON t.id = tweets_fts.tweet_id
+            LEFT JOIN users u ON t.author_uid = u.id
+            WHERE ${where.join(' AND ')}
+            ORDER BY bm25(tweets_fts, 0, 3.0, 2.0, 1.0), t.id DESC
+            LIMIT ? OFFSET ?`;
+        params.push(limit + 1, offset);
+    } else {
+        if (before) {
+            where.push(`t.id < ?`);
+            params.push(before);
+        }
+        query = `${TWEET_SELECT} WHERE ${where.join(' AND ')} ORDER BY t.id DESC LIMIT ?`;
+        params.push(limit + 1);
+    }
+
+    db.all(query, params, (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+
+        const send = (tweets, nextCursor) => embedReferencedTweets(tweets, viewer, (err) => {
+            if (err) return res.status(500).json({ error: err.message });
+            res.json({ tweets, nextCursor });
+        });
+
+        if (!ftsQuery) {
+            const { page, nextCursor } = buildPage(rows, limit, r => r.id);
+            return send(page.map(r => formatTweet(r, null, viewer)), nextCursor);
+        }
+
+        const offset = parseInt(before, 10) || 0;
+        const { page, nextCursor } = buildPage(rows, limit, () => String(offset + limit));
+        const tweets = page.map(r => {
+            const commentSnippet = unsegmentHighlight(r.comment_snippet);
+            return {
+                ...formatTweet(r, null, viewer),
+                // 高亮标记: \u0002 开始, \u0003 结束，由前端转义后替换为 <mark>
+                snippet: {
+                    content: unsegmentHighlight(r.content_highlight),
+                    comment: commentSnippet.includes(HIGHLIGHT_OPEN) ? commentSnippet : null
+                }
+            };
+        });
+        send(tweets, nextCursor);
+    });
+});
+
+// 解析逗号（中英文均可）分隔的标签
+function parseTagList(tags) {
+    return tags ? String(tags).split(/[,，]/).map(t => t.trim()).filter(t => t) : [];
+}
+
+const POLL_MIN_OPTIONS = 2;
+const POLL_MAX_OPTIONS = 4;
+const POLL_OPTION_MAX_LENGTH = 50;
+const POLL_MIN_DURATION_MS = 5 * 60 * 1000;
+const POLL_MAX_DURATION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// 解析发布推文时附带的投票 { options: [选项文本], closesAt: 截止时间戳, multiple: 是否多选 }，
+// multipart 表单中为 JSON 字符串。返回 { poll }（未附带时 poll 为 null）或 { error }
+function parsePollInput(raw) {
+    if (raw === undefined || raw === null || raw === '') return { poll: null };
+
+    let input = raw;
+    if (typeof raw === 'string') {
+        try {
+            input = JSON.parse(raw);
+        } catch (e) {
+            return { error: "投票格式错误" };
+        }
+    }
+    if (!input || typeof input !== 'object' || !Array.isArray(input.options)) return { error: "投票格式错误" };
+
+    const options = input.options.map(o => (typeof o === 'string' ? o.trim() : ''));
+    if (options.length < POLL_MIN_OPTIONS || options.length > POLL_MAX_OPTIONS) {
+        return { error: `投票需要 ${POLL_MIN_OPTIONS}–${POLL_MAX_OPTIONS} 个选项` };
+    }
+    if (options.some(o => !o)) return { error: "投票选项不能为空" };
+    if (options.some(o => o.length > POLL_OPTION_MAX_LENGTH)) return { error: `投票选项不能超过 ${POLL_OPTION_MAX_LENGTH} 个字` };
+    if (new Set(options.map(o => o.toLowerCase())).size !== options.length) return { error: "投票选项不能重复" };
+
+    const closesAt = Number(input.closesAt);
+    const now = Date.now();
+    if (!Number.isFinite(closesAt) || closesAt < now + POLL_MIN_DURATION_MS || closesAt > now + POLL_MAX_DURATION_MS) {
+        return { error: "投票截止时间需在 5 分钟到 30 天之后" };
+    }
+
+    return { poll: { options, closesAt, multiple: input.multiple === true || input.multiple === 'true' } };
+}
+
+// 写入一条新推文并推送给在线用户，返回格式化后的推文（直接发布、发布草稿和转发共用）。
+// poll 为 parsePollInput 的结果，quoteOf / repostOf 为引用或转发的原推文 id，均可选
+function createTweet(uid, { content, tags, media, poll, quoteOf = null, repostOf = null }, cb) {
+    const now = Date.now();
+    const timestamp = new Date(now).toLocaleString();
+
+    // id 即发布时间；同一毫秒内发布多条时（例如定时任务一次发布多篇草稿）往后顺延
+    allocateId('tweets', now.toString(), (err, id) => {
+        if (err) return cb(err);
+
+        const pollStatements = [];
+        if (poll) {
+            pollStatements.push([`INSERT INTO polls (tweet_id, multiple, closes_at, created_at) VALUES (?, ?, ?, ?)`,
+                [id, poll.multiple ? 1 : 0, poll.closesAt, now]]);
+            poll.options.forEach((text, i) => {
+                pollStatements.push([`INSERT INTO poll_options (tweet_id, position, text) VALUES (?, ?, ?)`, [id, i, text]]);
+            });
+        }
+
+        db.run(`INSERT INTO tweets (id, author_uid, content, timestamp, created_at, quote_of, repost_of) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [id, uid, content, timestamp, now, quoteOf, repostOf], function (err) {
+                if (err) return cb(err);
+
+                saveTweetRelations(id, { tags, content, media }, (err) => {
+                    if (err) return cb(err);
+
+                    runStatements(db, pollStatements, (err) => {
+                        if (err) return cb(err);
+
+                        indexTweet(id, () => {
+                            db.get(`${TWEET_SELECT} WHERE t.id = ?`, [id], (err, row) => {
+                                if (err || !row) return cb(err || new Error("Server error"));
+                                const tweet = formatTweet(row);
+                                embedReferencedTweets([tweet], null, (err) => {
+                                    if (err) return cb(err);
+                                    publishEvent('tweet_created', { tweet });
+                                    // 原推文的转发数、引用数随之变化
+                                    if (quoteOf || repostOf) publishTweet('reposts_updated', quoteOf || repostOf);
+                                    cb(null, tweet);
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+    });
+}
+
+// 查找可以转发或引用的原推文。传入的是转发时改为它转发的原推文；不存在或被隐藏时返回 404 错误
+function findOriginalTweet(tweetId, cb) {
+    db.get(`SELECT id, author_uid, repost_of, hidden_at FROM tweets WHERE id = ?`, [tweetId], (err, row) => {
+        if (err) return cb(err);
+        if (row && row.repost_of) return findOriginalTweet(row.repost_of, cb);
+        if (!row || row.hidden_at) return cb(Object.assign(new Error("推文不存在或已被删除"), { status: 404 }));
+        cb(null, row);
+    });
+}
+
+// 发布推文 (multipart: content, tags, files, poll 可选，格式见 parsePollInput；
+// quoteOf 可选，为引用的推文 id，引用时必须填写正文)
+app.post('/api/tweets', requireAuth, requireActiveUser, rateLimit('tweet'), receiveMedia(TWEET_MEDIA_FIELDS), (req, res) => {
+    const { content, tags, quoteOf } = req.body;
+    const uid = req.user.id;
+    const media = req.media.files || [];
+    const reject = (problem) => {
+        removeUploadedFiles(media.flatMap(m => [m.url, m.thumbUrl]));
+        sendRejected(res, problem);
+    };
+    const fail = (status, error) => reject({ status, error });
+
+    const { poll, error } = parsePollInput(req.body.poll);
+    if (error) return fail(400, error);
+    if (quoteOf && !(typeof content === 'string' && content.trim())) return fail(400, "引用时请填写你的评论");
+    const spam = checkPostContent('tweet', uid, content);
+    if (spam) return reject(spam);
+
+    const create = (quoted) => {
+        createTweet(uid, { content, tags: parseTagList(tags), media, poll, quoteOf: quoted }, (err, tweet) => {
+            if (err) return res.status(500).json({ error: err.message });
+            rememberPostContent('tweet', uid, content);
+            res.status(201).json(tweet);
+        });
+    };
+    if (!quoteOf) return create(null);
+
+    findOriginalTweet(String(quoteOf), (err, original) => {
+        if (err) return fail(err.status || 500, err.message);
+        create(original.id);
+    });
+});
+
+// 修改推文
+app.put('/api/tweets/:id', requireAuth, requireActiveUser, receiveMedia(TWEET_MEDIA_FIELDS), (req, res) => {
+    const { content, tags } = req.body;
+    const uid = req.user.id;
+    const tweetId = req.params.id;
+
+    db.get(`${TWEET_SELECT} WHERE t.id = ? AND t.hidden_at IS NULL`, [tweetId], (err, row) => {
+        if (err || !row) return res.status(404).json({ error: "Not found" });
+        if (row.author_uid !== uid) return res.status(403).json({ error: "No permission" });
+        if (row.repost_of) return res.status(400).json({ error: "转发不能编辑" });
+
+        // 如果有新上传的文件，则完全替换原媒体；如果不传文件，保持原样。
+        // 被替换的旧媒体随旧版本保留在编辑历史中
+        const media = req.media.files || null;
+        const problem = checkContentLength('tweet', content) || checkLinkCount(content);
+        if (problem) {
+            if (media) removeUploadedFiles(media.flatMap(m => [m.url, m.thumbUrl]));
+            return sendRejected(res, problem);
+        }
+        const tagsArr = parseTagList(tags);
+        const previousTags = parseJsonArray(row.tags_json);
+
+        // 内容没有任何变化时不算编辑
+        if (content === row.content && !media && JSON.stringify(tagsArr) === JSON.stringify(previousTags)) {
+            const tweet = formatTweet(row, null, uid);
+            return embedReferencedTweets([tweet], uid, (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+                res.json(tweet);
+            });
+        }
+
+        // 先把当前版本存入编辑历史，再覆盖正文并记录编辑时间
+        const now = Date.now();
+        runStatements(db, [
+            [`INSERT INTO tweet_revisions (tweet_id, content, tags_json, media_json, created_at, replaced_at) VALUES (?, ?, ?, ?, ?, ?)`,
+                [tweetId, row.content, JSON.stringify(previousTags), row.media_json || '[]', row.edited_at || row.created_at, now]],
+            [`UPDATE tweets SET content = ?, edited_at = ? WHERE id = ?`, [content, now, tweetId]]
+        ], (err) => {
+            if (err) return res.status(500).json({ error: err.message });
+
+            saveTweetRelations(tweetId, { tags: tagsArr, content, media }, (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+
+                indexTweet(tweetId, () => {
+                    db.get(`${TWEET_SELECT} WHERE t.id = ?`, [tweetId], (err, row) => {
+                        if (err || !row) return res.status(500).json({ error: "Server error" });
+                        publishTweet('tweet_updated', tweetId);
+                        const tweet = formatTweet(row, null, uid);
+                        embedReferencedTweets([tweet], uid, (err) => {
+                            if (err) return res.status(500).json({ error: err.message });
+                            res.json(tweet);
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+// 删除推文
+app.delete('/api/tweets/:id', requireAuth, (req, res) => {
+    const uid = req.user.id;
+    const tweetId = req.params.id;
+
+    db.get(`SELECT author_uid FROM tweets WHERE id = ?`, [tweetId], (err, row) => {
+        if (err || !row) return res.status(404).json({ error: "Not found" });
+        if (row.author_uid !== uid) return res.status(403).json({ error: "No permission" });
+
+        deleteTweet(tweetId, (err) => {
+            if (err) return res.status(500).json({ error: err.message });
+            res.json({ success: true });
+        });
+    });
+});
+
+// 获取单条推文详情
+app.get('/api/tweets/:id', (req, res) => {
+    recordTweetView(req, req.params.id);
+    sendTweetDetail(res, req.params.id, req.user ? req.user.id : null);
+});
+
+// 推文的编辑历史，按时间倒序，第一项为当前版本
+// 返回: { tweetId, versions: [{ id (当前版本为 null), current, content, tags, media, createdAt (该版本生效时间), replacedAt }] }
+app.get('/api/tweets/:id/revisions', (req, res) => {
+    db.get(`${TWEET_SELECT} WHERE t.id = ? AND t.hidden_at IS NULL`, [req.params.id], (err, r) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!r) return res.status(404).json({ error: "Not found" });
+
+        db.all(`SELECT * FROM tweet_revisions WHERE tweet_id = ? ORDER BY id DESC`, [r.id], (err, revisions) => {
+            if (err) return res.status(500).json({ error: err.message });
+
+            const tweet = formatTweet(r);
+            const current = {
+                id: null, current: true, content: tweet.content, tags: tweet.tags, media: tweet.media,
+                createdAt: r.edited_at || r.created_at, replacedAt: null
+            };
+            res.json({
+                tweetId: r.id,
+                versions: [current].concat(revisions.map(v => ({
+                    id: v.id,
+                    current: false,
+                    content: v.content,
+                    tags: parseJsonArray(v.tags_json),
+                    media: publicMedia(parseJsonArray(v.media_json)),
+                    createdAt: v.created_at,
+                    replacedAt: v.replaced_at
+                })))
+            });
+        });
+    });
+});
+
+// 互动
+app.post('/api/tweets/:id/react', requireActiveUser, (req, res) => {
+    const { type } = req.body;
+
+    // 权限校验：未登录（包括访客）则拦截
+    if (!req.user) {
         return res.status(401).json({ error: "Unauthorized: only logged-in users can react." });
     }
+    const uid = req.user.id;
+
+    if (!REACTION_TYPES.includes(type)) {
+        return res.status(400).json({ error: "Invalid reaction type" });
+    }
+
+    db.get(`SELECT id, author_uid FROM tweets WHERE id = ? AND hidden_at IS NULL`, [req.params.id], (err, row) => {
+        if (err || !row) return res.status(404).json({ error: "Not found" });
+        const notification = { userId: row.author_uid, actorId: uid, type: 'reaction', tweetId: row.id, reaction: type };
+
+        // 如果用户已经互动过，则执行取消操作（删除记录）；
+        // 如果没有，则执行点赞操作（插入记录）
+        db.run(`DELETE FROM tweet_reactions WHERE tweet_id = ? AND user_id = ? AND type = ?`, [req.params.id, uid, type], function (err) {
+            if (err) return res.status(500).json({ error: err.message });
+            if (this.changes > 0) {
+                retractNotification(notification);
+                publishTweet('reactions_updated', row.id);
+                return sendTweetDetail(res, req.params.id, uid);
+            }
+
+            db.run(`INSERT INTO tweet_reactions (tweet_id, user_id, type, created_at) VALUES (?, ?, ?, ?)`, [req.params.id, uid, type, Date.now()], (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+                notify(notification);
+                publishTweet('reactions_updated', row.id);
+                sendTweetDetail(res, req.params.id, uid);
+            });
+        });
+    });
+});
+
+// 返回当前用户看到的投票（结果是否可见取决于是否已投票）
+function sendPoll(res, tweetId, viewer) {
+    db.get(`SELECT ${POLL_COLUMN} AS poll_json FROM tweets t WHERE t.id = ? AND t.hidden_at IS NULL`, [tweetId], (err, r) => {
+        if (err) return res.status(500).json({ error: err.message });
+        const poll = r ? formatPoll(r.poll_json, viewer) : null;
+        if (!poll) return res.status(404).json({ error: "Not found" });
+        res.json({ tweetId, poll });
+    });
+}
+
+// 获取推文的投票，用于投票后刷新结果和收到 poll_updated 推送后更新
+app.get('/api/tweets/:id/poll', (req, res) => {
+    sendPoll(res, req.params.id, req.user ? req.user.id : null);
+});
+
+// 投票 (body: { options: [选项序号] })，单选只能选一项。每个用户只能投一次，投票后不能修改
+app.post('/api/tweets/:id/poll/vote', requireActiveUser, (req, res) => {
+    // 权限校验：未登录（包括访客）则拦截
+    if (!req.user) {
+        return res.status(401).json({ error: "Unauthorized: only logged-in users can vote." });
+    }
+    const uid = req.user.id;
+    const tweetId = req.params.id;
+
+    db.get(`SELECT p.multiple, p.closes_at, (SELECT COUNT(*) FROM poll_options o WHERE o.tweet_id = p.tweet_id) AS option_count
+            FROM polls p JOIN tweets t ON t.id = p.tweet_id
+            WHERE p.tweet_id = ? AND t.hidden_at IS NULL`, [tweetId], (err, poll) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!poll) return res.status(404).json({ error: "Not found" });
+        if (poll.closes_at <= Date.now()) return res.status(400).json({ error: "投票已结束" });
+
+        const choices = Array.isArray(req.body.options) ? req.body.options : [];
+        const valid = choices.length > 0 && (poll.multiple || choices.length === 1)
+            && choices.every(i => Number.isInteger(i) && i >= 0 && i < poll.option_count)
+            && new Set(choices).size === choices.length;
+        if (!valid) return res.status(400).json({ error: poll.multiple ? "请至少选择一项" : "请选择一项" });
+
+        db.get(`SELECT 1 FROM poll_votes WHERE tweet_id = ? AND user_id = ?`, [tweetId, uid], (err, voted) => {
+            if (err) return res.status(500).json({ error: err.message });
+            if (voted) return res.status(409).json({ error: "你已经投过票了" });
+
+            const now = Date.now();
+            runStatements(db, choices.map(i => [
+                `INSERT INTO poll_votes (tweet_id, position, user_id, created_at) VALUES (?, ?, ?, ?)`, [tweetId, i, uid, now]
+            ]), (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+                // 只推送变化通知，各客户端按自己的投票状态重新获取结果
+                publishEvent('poll_updated', { tweetId });
+                sendPoll(res, tweetId, uid);
+            });
+        });
+    });
+});
+
+// 返回当前用户对原推文的转发状态和最新的转发数、引用数
+function sendRepostState(res, tweetId, uid, status = 200) {
+    db.get(`SELECT ${TWEET_COLUMNS}, EXISTS (SELECT 1 FROM tweets rp WHERE rp.repost_of = t.id AND rp.author_uid = ?) AS reposted
+            FROM tweets t LEFT JOIN users u ON t.author_uid = u.id WHERE t.id = ?`, [uid, tweetId], (err, r) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!r) return res.status(404).json({ error: "Not found" });
+        const tweet = formatTweet(r);
+        res.status(status).json({
+            tweetId,
+            reposted: !!r.reposted,
+            repostCount: tweet.repostCount,
+            quoteCount: tweet.quoteCount
+        });
+    });
+}
+
+// 转发（不带评论）。转发一条转发等同于转发它的原推文；每条推文只能转发一次
+app.post('/api/tweets/:id/repost', requireAuth, requireActiveUser, rateLimit('tweet'), (req, res) => {
+    const uid = req.user.id;
+
+    findOriginalTweet(req.params.id, (err, original) => {
+        if (err) return res.status(err.status || 500).json({ error: err.message });
+
+        db.get(`SELECT id FROM tweets WHERE repost_of = ? AND author_uid = ?`, [original.id, uid], (err, existing) => {
+            if (err) return res.status(500).json({ error: err.message });
+            if (existing) return res.status(409).json({ error: "已经转发过了" });
+
+            createTweet(uid, { content: '', tags: [], media: [], repostOf: original.id }, (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+                sendRepostState(res, original.id, uid, 201);
+            });
+        });
+    });
+});
+
+// 撤销转发：删除当前用户对原推文的转发
+app.delete('/api/tweets/:id/repost', requireAuth, (req, res) => {
+    const uid = req.user.id;
+
+    findOriginalTweet(req.params.id, (err, original) => {
+        if (err) return res.status(err.status || 500).json({ error: err.message });
+
+        db.get(`SELECT id FROM tweets WHERE repost_of = ? AND author_uid = ?`, [original.id, uid], (err, repost) => {
+            if (err) return res.status(500).json({ error: err.message });
+            if (!repost) return res.status(404).json({ error: "还没有转发过" });
+
+            deleteTweet(repost.id, (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+                publishTweet('reposts_updated', original.id);
+                sendRepostState(res, original.id, uid);
+            });
+        });
+    });
+});
+
+// 发布评论
+app.post('/api/tweets/:id/comment', requireAuth, requireActiveUser, rateLimit('comment'), (req, res) => {
+    const { text, parent_id } = req.body;
+    const parentId = parent_id ? String(parent_id) : null;
+    const uid = req.user.id;
+    if (typeof text !== 'string' || !text.trim()) return res.status(400).json({ error: "评论不能为空" });
+    const spam = checkPostContent('comment', uid, text);
+    if (spam) return sendRejected(res, spam);
+
+    // 只能回复同一条推文下未被隐藏的一级评论，其他回复不会显示在评论列表中
+    db.get(`SELECT t.id, t.author_uid, p.id AS parent_id, p.author_uid AS parent_author
+            FROM tweets t
+            LEFT JOIN comments p ON p.id = ? AND p.tweet_id = t.id AND p.parent_id IS NULL AND p.hidden_at IS NULL
+            WHERE t.id = ? AND t.hidden_at IS NULL`, [parentId, req.params.id], (err, row) => {
+        if (err || !row) return res.status(404).json({ error: "Not found" });
+        if (parentId && !row.parent_id) return res.status(400).json({ error: "回复的评论不存在" });
+
+        // id 即发布时间，同一毫秒内有多条评论时往后顺延
+        allocateId('comments', Date.now().toString(), (err, cid) => {
+            if (err) return res.status(500).json({ error: err.message });
+            const timestamp = new Date().toLocaleString();
+
+            db.run(`INSERT INTO comments (id, tweet_id, author_uid, text, timestamp, parent_id) VALUES (?, ?, ?, ?, ?, ?)`,
+                [cid, req.params.id, uid, text, timestamp, parentId], function (err) {
+                    if (err) return res.status(500).json({ error: err.message });
+                    rememberPostContent('comment', uid, text);
+
+                    // 回复评论时通知被回复的人；推文作者另外收到评论通知（与被回复者是同一人时只发一条）
+                    if (row.parent_author) {
+                        notify({ userId: row.parent_author, actorId: uid, type: 'reply', tweetId: row.id, commentId: cid });
+                    }
+                    if (row.author_uid !== row.parent_author) {
+                        notify({ userId: row.author_uid, actorId: uid, type: 'comment', tweetId: row.id, commentId: cid });
+                    }
+
+                    saveCommentRelations(cid, text, (err) => {
+                        if (err) return res.status(500).json({ error: err.message });
+                        publishTweet('comment_created', row.id, { commentId: cid });
+                        indexTweet(req.params.id, () => sendTweetDetail(res, req.params.id, uid));
+                    });
+                });
+        });
+    });
+});
+
+// 给评论点赞
+app.post('/api/comments/:id/like', requireActiveUser, (req, res) => {
+    // 权限校验：未登录（包括访客）则拦截
+    if (!req.user) {
+        return res.status(401).json({ error: "Unauthorized: only logged-in users can like comments." });
+    }
+    const uid = req.user.id;
+
+    db.get(`SELECT id, tweet_id, author_uid FROM comments WHERE id = ? AND hidden_at IS NULL`, [req.params.id], (err, row) => {
+        if (err || !row) return res.status(404).json({ error: "Comment not found" });
+        const notification = { userId: row.author_uid, actorId: uid, type: 'comment_like', tweetId: row.tweet_id, commentId: row.id };
+
+        // 返回新的点赞数和用户列表供前端更新
+        const respond = (action) => {
+            db.all(`SELECT u.nickname FROM comment_likes l JOIN users u ON u.id = l.user_id
+                    WHERE l.comment_id = ? ORDER BY l.rowid`, [req.params.id], (err, rows) => {
+                if (err) return res.status(500).json({ error: err.message });
+                const users = rows.map(r => r.nickname);
+                publishEvent('comment_likes_updated', { tweetId: row.tweet_id, commentId: row.id, likesCount: users.length, likesUsers: users });
+                res.json({ success: true, action: action, likesCount: users.length, likesUsers: users });
+            });
+        };
+
+        db.run(`DELETE FROM comment_likes WHERE comment_id = ? AND user_id = ?`, [req.params.id, uid], function (err) {
+            if (err) return res.status(500).json({ error: err.message });
+            if (this.changes > 0) {
+                retractNotification(notification);
+                return respond('remove');
+            }
+
+            db.run(`INSERT INTO comment_likes (comment_id, user_id, created_at) VALUES (?, ?, ?)`, [req.params.id, uid, Date.now()], (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+                notify(notification);
+                respond('add');
+            });
+        });
+    });
+});
+
+// 收藏/取消收藏
+app.post('/api/tweets/:id/bookmark', requireActiveUser, (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ error: "Unauthorized: only logged-in users can bookmark." });
+    }
+    const uid = req.user.id;
+
+    db.get(`SELECT t.author_uid, (SELECT 1 FROM bookmarks b WHERE b.user_id = ? AND b.tweet_id = t.id) AS bookmarked
+            FROM tweets t WHERE t.id = ? AND t.hidden_at IS NULL`, [uid, req.params.id], (err, row) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!row) return res.status(404).json({ error: "Not found" });
+        const notification = { userId: row.author_uid, actorId: uid, type: 'bookmark', tweetId: req.params.id };
+
+        if (row.bookmarked) {
+            // 取消收藏
+            db.run(`DELETE FROM bookmarks WHERE user_id = ? AND tweet_id = ?`, [uid, req.params.id], (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+                retractNotification(notification);
+                res.json({ success: true, bookmarked: false });
+            });
+        } else {
+            // 添加收藏
+            const ts = new Date().toLocaleString();
+            db.run(`INSERT INTO bookmarks (user_id, tweet_id, timestamp) VALUES (?, ?, ?)`, [uid, req.params.id, ts], (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+                notify(notification);
+                res.json({ success: true, bookmarked: true });
+            });
+        }
+    });
+});
+
+// 获取用户收藏的推文列表，按收藏先后倒序游标分页（游标为收藏记录的 rowid）
+// 返回: { tweets, nextCursor }
+app.get('/api/bookmarks', requireAuth, (req, res) => {
+    const uid = req.user.id;
+    const { limit, before } = getPageParams(req.query);
+    const params = [uid];
+    let cursorWhere = '';
+    if (before) {
+        cursorWhere = 'AND b.rowid < ?';
+        params.push(parseInt(before, 10) || 0);
+    }
+    params.push(limit + 1);
+
+    db.all(`SELECT b.rowid AS bookmark_cursor, b.timestamp AS bookmark_time, ${TWEET_COLUMNS}
+            FROM bookmarks b 
+            JOIN tweets t ON b.tweet_id = t.id 
+            LEFT JOIN users u ON t.author_uid = u.id 
+            WHERE b.user_id = ? AND t.hidden_at IS NULL ${cursorWhere}
+            ORDER BY b.rowid DESC LIMIT ?`, params, (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+
+        const { page, nextCursor } = buildPage(rows, limit, r => String(r.bookmark_cursor));
+        const tweets = page.map(r => {
+            return {
+                ...formatTweet(r, null, uid),
+                bookmark_time: r.bookmark_time
+            };
+        });
+        embedReferencedTweets(tweets, uid, (err) => {
+            if (err) return res.status(500).json({ error: err.message });
+            res.json({ tweets, nextCursor });
+        });
+    });
+});
+
+// 获取用户收藏的全部推文 ID（前端用于标记收藏状态，不受分页影响）
+app.get('/api/bookmarks/ids', requireAuth, (req, res) => {
+    db.all(`SELECT tweet_id FROM bookmarks WHERE user_id = ?`, [req.user.id], (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json(rows.map(r => r.tweet_id));
+    });
+});
+
+// === 接口: 草稿与定时发布 ===
+// 草稿只有作者本人可见。定时发布的草稿到期后由 publishDueDrafts 发布为推文，发布前不会出现在推文列表中
+
+const DRAFT_LIMIT = 100;
+const SCHEDULE_MAX_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+const SCHEDULER_INTERVAL_MS = 30 * 1000;
+
+// 正在发布的草稿 id，避免定时任务和作者手动发布同时进行，或发布过程中草稿被修改、删除
+const publishingDrafts = new Set();
+
+function formatDraft(r) {
+    return {
+        id: r.id,
+        content: r.content,
+        tags: parseJsonArray(r.tags_json),
+        media: publicMedia(parseJsonArray(r.media_json)),
+        scheduledAt: r.scheduled_at || null,
+        publishError: r.publish_error || null,
+        createdAt: r.created_at,
+        updatedAt: r.updated_at
+    };
+}
+
+// 解析定时发布时间（毫秒时间戳或 ISO 时间），空值表示不定时；无效、已过去或超过一年后时返回 undefined
+function parseScheduledAt(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    const now = Date.now();
+    return Number.isFinite(ms) && ms > now && ms <= now + SCHEDULE_MAX_AHEAD_MS ? ms : undefined;
+}
+
+// 校验草稿，返回错误信息；普通草稿可以为空，定时发布的草稿必须有正文或媒体
+function draftError(content, media, scheduledAt) {
+    if (scheduledAt === undefined) return "定时发布时间无效，请选择一年内的未来时间";
+    if (scheduledAt && !content.trim() && media.length === 0) return "定时发布的内容不能为空";
+    return null;
+}
+
+function getOwnDraft(draftId, uid, cb) {
+    db.get(`SELECT * FROM drafts WHERE id = ?`, [draftId], (err, draft) => {
+        if (err) return cb(err);
+        if (!draft) return cb(Object.assign(new Error("草稿不存在"), { status: 404 }));
+        if (draft.author_uid !== uid) return cb(Object.assign(new Error("No permission"), { status: 403 }));
+        if (publishingDrafts.has(draft.id)) return cb(Object.assign(new Error("草稿正在发布"), { status: 409 }));
+        cb(null, draft);
+    });
+}
+
+function sendDraft(res, draftId) {
+    db.get(`SELECT * FROM drafts WHERE id = ?`, [draftId], (err, row) => {
+        if (err || !row) return res.status(500).json({ error: "Server error" });
+        res.json(formatDraft(row));
+    });
+}
+
+// 把草稿发布为推文并删除草稿，媒体文件转给推文使用
+function publishDraft(draft, cb) {
+    if (publishingDrafts.has(draft.id)) return cb(Object.assign(new Error("草稿正在发布"), { status: 409 }));
+    publishingDrafts.add(draft.id);
+
+    const media = parseJsonArray(draft.media_json);
+    createTweet(draft.author_uid, { content: draft.content, tags: parseJsonArray(draft.tags_json), media }, (err, tweet) => {
+        if (err) {
+            publishingDrafts.delete(draft.id);
+            return cb(err);
+        }
+        db.run(`DELETE FROM drafts WHERE id = ?`, [draft.id], (err) => {
+            publishingDrafts.delete(draft.id);
+            if (err) console.error(`草稿 ${draft.id} 已发布为推文 ${tweet.id}，但删除草稿失败:`, err.message);
+            cb(null, tweet);
+        });
+    });
+}
+
+// 发布所有到期的定时草稿。作者被封禁或暂停使用、内容未通过发布检查时不发布，在草稿上记录原因，由作者决定重新定时或删除；
+// 作者发推次数超出限制时留到下一轮再发布
+let schedulerRunning = false;
+function publishDueDrafts() {
+    if (schedulerRunning) return;
+    schedulerRunning = true;
+
+    const now = Date.now();
+    db.all(`SELECT d.*, u.suspended_until, u.banned_at FROM drafts d JOIN users u ON u.id = d.author_uid
+            WHERE d.scheduled_at <= ? AND d.publish_error IS NULL ORDER BY d.scheduled_at ASC, d.id ASC`, [now], (err, drafts) => {
+        if (err) {
+            schedulerRunning = false;
+            return console.error("读取定时草稿失败:", err.message);
+        }
+
+        const markFailed = (draft, reason, next) => {
+            db.run(`UPDATE drafts SET publish_error = ? WHERE id = ?`, [reason, draft.id], () => next());
+        };
+
+        series(drafts.map(draft => (next) => {
+            if (draft.banned_at) return markFailed(draft, "账号已被封禁，未能发布", next);
+            if (draft.suspended_until > now) return markFailed(draft, "账号被暂停使用，未能按时发布", next);
+            const problem = checkPostContent('tweet', draft.author_uid, draft.content);
+            if (problem) return markFailed(draft, `未能发布：${problem.error}`, next);
+            if (consumeUserRate('tweet', draft.author_uid) > 0) return next();
+
+            publishDraft(draft, (err) => {
+                if (!err) {
+                    rememberPostContent('tweet', draft.author_uid, draft.content);
+                    return next();
+                }
+                if (err.status === 409) return next();
+                console.error(`定时发布草稿 ${draft.id} 失败:`, err.message);
+                markFailed(draft, "发布失败，请稍后重试", next);
+            });
+        }), () => {
+            schedulerRunning = false;
+        });
+    });
+}
+
+// 当前用户的草稿：定时发布的按发布时间在前，其余按最后修改时间倒序
+// 返回: { drafts: [{ id, content, tags, media, scheduledAt, publishError, createdAt, updatedAt }] }
+app.get('/api/drafts', requireAuth, (req, res) => {
+    db.all(`SELECT * FROM drafts WHERE author_uid = ?
+            ORDER BY scheduled_at IS NULL, scheduled_at ASC, updated_at DESC`, [req.user.id], (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({ drafts: rows.map(formatDraft) });
+    });
+});
+
+// 保存草稿 (multipart: content, tags, scheduledAt 可选, files)。正文和发推一样检查字数、链接数量和重复内容
+app.post('/api/drafts', requireAuth, rateLimit('draft'), receiveMedia(TWEET_MEDIA_FIELDS), (req, res) => {
+    const uid = req.user.id;
+    const media = req.media.files || [];
+    const content = typeof req.body.content === 'string' ? req.body.content : '';
+    const tags = parseTagList(req.body.tags);
+    const scheduledAt = parseScheduledAt(req.body.scheduledAt);
+    const reject = (problem) => {
+        removeUploadedFiles(media.flatMap(m => [m.url, m.thumbUrl]));
+        sendRejected(res, problem);
+    };
+    const fail = (status, error) => reject({ status, error });
+
+    const invalid = draftError(content, media, scheduledAt);
+    if (invalid) return fail(400, invalid);
+    const problem = checkPostContent('tweet', uid, content);
+    if (problem) return reject(problem);
+
+    db.get(`SELECT COUNT(*) AS count FROM drafts WHERE author_uid = ?`, [uid], (err, row) => {
+        if (err) return fail(500, err.message);
+        if (row.count >= DRAFT_LIMIT) return fail(400, `最多保存 ${DRAFT_LIMIT} 篇草稿，请先发布或删除一些`);
+
+        const now = Date.now();
+        db.run(`INSERT INTO drafts (author_uid, content, tags_json, media_json, scheduled_at, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [uid, content, JSON.stringify(tags), JSON.stringify(media), scheduledAt, now, now], function (err) {
+                if (err) return fail(500, err.message);
+                res.status(201);
+                sendDraft(res, this.lastID);
+            });
+    });
+});
+
+// 修改草稿。与修改推文相同：上传了新文件时替换原媒体（旧文件被删除），不传文件时保留；
+// 不传 scheduledAt 时保留原定时，传空值取消定时。修改后清除上次定时发布失败的记录
+app.put('/api/drafts/:id', requireAuth, rateLimit('draft'), receiveMedia(TWEET_MEDIA_FIELDS), (req, res) => {
+    const newMedia = req.media.files || null;
+    const reject = (problem) => {
+        if (newMedia) removeUploadedFiles(newMedia.flatMap(m => [m.url, m.thumbUrl]));
+        sendRejected(res, problem);
+    };
+    const fail = (status, error) => reject({ status, error });
+
+    getOwnDraft(req.params.id, req.user.id, (err, draft) => {
+        if (err) return fail(err.status || 500, err.message);
+
+        const content = typeof req.body.content === 'string' ? req.body.content : draft.content;
+        const tags = req.body.tags !== undefined ? parseTagList(req.body.tags) : parseJsonArray(draft.tags_json);
+        const oldMedia = parseJsonArray(draft.media_json);
+        const media = newMedia || oldMedia;
+        const scheduledAt = req.body.scheduledAt !== undefined ? parseScheduledAt(req.body.scheduledAt) : draft.scheduled_at;
+
+        // 保留原定时但时间已过（例如发布失败后再修改）时，需要重新选择时间
+        const invalid = draftError(content, media, scheduledAt && scheduledAt <= Date.now() ? undefined : scheduledAt);
+        if (invalid) return fail(400, invalid);
+        const problem = checkPostContent('tweet', req.user.id, content);
+        if (problem) return reject(problem);
+
+        db.run(`UPDATE drafts SET content = ?, tags_json = ?, media_json = ?, scheduled_at = ?, publish_error = NULL, updated_at = ? WHERE id = ?`,
+            [content, JSON.stringify(tags), JSON.stringify(media), scheduledAt, Date.now(), draft.id], (err) => {
+                if (err) return fail(500, err.message);
+                if (newMedia) removeUploadedFiles(oldMedia.flatMap(m => [m.url, m.thumbUrl]));
+                sendDraft(res, draft.id);
+            });
+    });
+});
+
+// 删除草稿及其媒体文件
+app.delete('/api/drafts/:id', requireAuth, (req, res) => {
+    getOwnDraft(req.params.id, req.user.id, (err, draft) => {
+        if (err) return res.status(err.status || 500).json({ error: err.message });
+
+        db.run(`DELETE FROM drafts WHERE id = ?`, [draft.id], (err) => {
+            if (err) return res.status(500).json({ error: err.message });
+            removeUploadedFiles(parseJsonArray(draft.media_json).flatMap(m => [m.url, m.thumbUrl]));
+            res.json({ success: true });
+        });
+    });
+});
+
+// 立即发布草稿（包括尚未到期的定时草稿），返回新推文
+app.post('/api/drafts/:id/publish', requireAuth, requireActiveUser, rateLimit('tweet'), (req, res) => {
+    const uid = req.user.id;
+    getOwnDraft(req.params.id, uid, (err, draft) => {
+        if (err) return res.status(err.status || 500).json({ error: err.message });
+        if (!draft.content.trim() && parseJsonArray(draft.media_json).length === 0) {
+            return res.status(400).json({ error: "内容不能为空" });
+        }
+        const spam = checkPostContent('tweet', uid, draft.content);
+        if (spam) return sendRejected(res, spam);
+
+        publishDraft(draft, (err, tweet) => {
+            if (err) return res.status(err.status || 500).json({ error: err.message });
+            rememberPostContent('tweet', uid, draft.content);
+            res.status(201).json(tweet);
+        });
+    });
+});
+
+// === 接口: 关注 ===
+
+// 返回关注状态和对方最新的粉丝数，nickname 为对方的当前昵称
+function sendFollowState(res, target, following) {
+    db.get(`SELECT COUNT(*) AS count FROM follows WHERE followee_id = ?`, [target.id], (err, row) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({ success: true, nickname: target.nickname, following: following, followersCount: row.count });
+    });
+}
+
+// 关注用户
+app.post('/api/users/:nickname/follow', requireAuth, requireActiveUser, (req, res) => {
+    resolveNickname(req.params.nickname, (err, target) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!target) return res.status(404).json({ error: "用户不存在" });
+        if (target.id === req.user.id) return res.status(400).json({ error: "不能关注自己" });
+
+        db.run(`INSERT OR IGNORE INTO follows (follower_id, followee_id, created_at) VALUES (?, ?, ?)`, [req.user.id, target.id, Date.now()], (err) => {
+            if (err) return res.status(500).json({ error: err.message });
+            sendFollowState(res, target, true);
+        });
+    });
+});
+
+// 取消关注
+app.delete('/api/users/:nickname/follow', requireAuth, (req, res) => {
+    resolveNickname(req.params.nickname, (err, target) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!target) return res.status(404).json({ error: "用户不存在" });
+
+        db.run(`DELETE FROM follows WHERE follower_id = ? AND followee_id = ?`, [req.user.id, target.id], (err) => {
+            if (err) return res.status(500).json({ error: err.message });
+            sendFollowState(res, target, false);
+        });
+    });
+});
+
+// 获取当前用户关注的全部用户昵称（前端用于显示关注按钮状态）
+app.get('/api/following/ids', requireAuth, (req, res) => {
+    db.all(`SELECT u.nickname FROM follows f JOIN users u ON u.id = f.followee_id
+            WHERE f.follower_id = ? ORDER BY f.created_at DESC`, [req.user.id], (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json(rows.map(r => r.nickname));
+    });
+});
+
+// === 接口: 实时推送 ===
+
+// Server-Sent Events 事件流，推文和评论是公开内容，游客也可以订阅。事件（data 为 JSON）：
+//   tweet_created / tweet_updated   { tweet }
+//   tweet_deleted                   { id }
+//   comment_created                 { tweet, commentId }
+//   reactions_updated               { tweet }
+//   comment_likes_updated           { tweetId, commentId, likesCount, likesUsers }
+app.get('/api/stream', (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    streamClients.add(res);
+    req.on('close', () => streamClients.delete(res));
+});
+
+// === 接口: 输入联想 ===
+
+const SUGGEST_LIMIT = 8;
+
+// 把用户输入转义后用作 LIKE 前缀
+function likePrefix(q) {
+    return (queryString(q) || '').replace(/[\\%_]/g, c => '\\' + c) + '%';
+}
+
+// 按前缀联想昵称（输入 @ 时使用），已关注的用户排在前面
+app.get('/api/users/suggest', (req, res) => {
+    const uid = req.user ? req.user.id : null;
+    db.all(`SELECT u.nickname, u.avatar FROM users u
+            WHERE u.nickname LIKE ? ESCAPE '\\'
+            ORDER BY EXISTS (SELECT 1 FROM follows f WHERE f.follower_id = ? AND f.followee_id = u.id) DESC,
+                     u.nickname COLLATE NOCASE
+            LIMIT ?`, [likePrefix(req.query.q), uid, SUGGEST_LIMIT], (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json(rows.map(r => ({ nickname: r.nickname, avatar: publicUrl(r.avatar) || null })));
+    });
+});
+
+// 按前缀联想已有标签（输入 # 时使用），按使用次数排序
+app.get('/api/tags/suggest', (req, res) => {
+    db.all(`SELECT tag, COUNT(*) AS count FROM (
+                SELECT tag FROM tweet_tags WHERE tag LIKE ? ESCAPE '\\'
+                UNION ALL
+                SELECT tag FROM comment_tags WHERE tag LIKE ? ESCAPE '\\'
+            )
+            GROUP BY tag COLLATE NOCASE
+            ORDER BY count DESC, tag COLLATE NOCASE
+            LIMIT ?`, [likePrefix(req.query.q), likePrefix(req.query.q), SUGGEST_LIMIT], (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json(rows.map(r => ({ tag: r.tag, count: r.count })));
+    });
+});
+
+// === 接口: 用户主页 ===
+
+// 公开的用户资料：昵称、简介、头像、背景、加入时间 (joinedAt，早期注册的用户可能为 null)、推文数（不含转发）和关注数。
+// 也可以用保留期内改名前的昵称查找，返回的 nickname 为当前昵称。
+// 被封禁的用户的推文和评论仍然显示，主页也照常返回，banned 为 true，由前端标注。
+// cb(err, user, userId)，用户 id 不返回给前端
+function getPublicUser(nickname, cb) {
+    resolveNickname(nickname, (err, found) => {
+        if (err || !found) return cb(err, null);
+        db.get(`SELECT id, nickname, bio, avatar, banner, created_at, banned_at,
+                    (SELECT COUNT(*) FROM tweets t WHERE t.author_uid = users.id AND t.hidden_at IS NULL AND t.repost_of IS NULL) AS tweetCount,
+                    (SELECT COUNT(*) FROM follows WHERE followee_id = users.id) AS followersCount,
+                    (SELECT COUNT(*) FROM follows WHERE follower_id = users.id) AS followingCount
+                FROM users WHERE id = ?`, [found.id], (err, row) => {
+            if (err || !row) return cb(err, null);
+            const { id, created_at, banned_at, ...user } = row;
+            cb(null, { ...withPublicProfileUrls(user), joinedAt: created_at || null, banned: !!banned_at }, id);
+        });
+    });
+}
+
+// 获取用户主页资料（用旧昵称访问时前端根据返回的 nickname 更新地址）
+app.get('/api/users/:nickname', (req, res) => {
+    getPublicUser(req.params.nickname, (err, user) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!user) return res.status(404).json({ error: "用户不存在" });
+        res.json(user);
+    });
+});
+
+// 用户发布的推文和转发，最新的在前（分页）
+app.get('/api/users/:nickname/tweets', (req, res) => {
+    const { limit, before } = getPageParams(req.query);
+    const viewer = req.user ? req.user.id : null;
+
+    getPublicUser(req.params.nickname, (err, user, userId) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!user) return res.status(404).json({ error: "用户不存在" });
+
+        const where = ['t.author_uid = ?', 't.hidden_at IS NULL', VISIBLE_REPOST_CONDITION];
+        const params = [userId];
+        if (before) {
+            where.push(`t.id < ?`);
+            params.push(before);
+        }
+        db.all(`${TWEET_SELECT} WHERE ${where.join(' AND ')} ORDER BY t.id DESC LIMIT ?`, [...params, limit + 1], (err, rows) => {
+            if (err) return res.status(500).json({ error: err.message });
+            const { page, nextCursor } = buildPage(rows, limit, r => r.id);
+            const tweets = page.map(r => formatTweet(r, null, viewer));
+            embedReferencedTweets(tweets, viewer, (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+                res.json({ tweets, nextCursor });
+            });
+        });
+    });
+});
+
+// 用户发表的评论和回复，最新的在前（分页）。每条附带所在的推文 (tweet，列表格式)；
+// 回复其他评论时 replyTo 为被回复的评论作者。被隐藏的评论和被隐藏推文下的评论不返回
+app.get('/api/users/:nickname/comments', (req, res) => {
+    const { limit, before } = getPageParams(req.query);
+    const viewer = req.user ? req.user.id : null;
+
+    getPublicUser(req.params.nickname, (err, user, userId) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!user) return res.status(404).json({ error: "用户不存在" });
+
+        const where = ['c.author_uid = ?', 'c.hidden_at IS NULL', 't.hidden_at IS NULL'];
+        const params = [userId];
+        if (before) {
+            where.push(`c.id < ?`);
+            params.push(before);
+        }
+        db.all(`SELECT c.id, c.tweet_id, c.parent_id, c.text, c.timestamp, ${authorName('pu', 'p')} AS reply_to,
+                    (SELECT COUNT(*) FROM comment_likes l WHERE l.comment_id = c.id) AS likes_count,
+                    (SELECT json_group_array(mu.nickname) FROM comment_mentions cm JOIN users mu ON mu.id = cm.user_id WHERE cm.comment_id = c.id) AS mentions_json
+                FROM comments c
+                JOIN tweets t ON t.id = c.tweet_id
+                LEFT JOIN comments p ON p.id = c.parent_id
+                LEFT JOIN users pu ON pu.id = p.author_uid
+                WHERE ${where.join(' AND ')} ORDER BY c.id DESC LIMIT ?`, [...params, limit + 1], (err, rows) => {
+            if (err) return res.status(500).json({ error: err.message });
+            const { page, nextCursor } = buildPage(rows, limit, r => r.id);
+            const tweetIds = [...new Set(page.map(c => c.tweet_id))];
+            if (tweetIds.length === 0) return res.json({ comments: [], nextCursor });
+
+            db.all(`${TWEET_SELECT} WHERE t.id IN (${tweetIds.map(() => '?').join(', ')})`, tweetIds, (err, tweetRows) => {
+                if (err) return res.status(500).json({ error: err.message });
+                const tweets = tweetRows.map(r => formatTweet(r, null, viewer));
+                embedReferencedTweets(tweets, viewer, (err) => {
+                    if (err) return res.status(500).json({ error: err.message });
+                    const byId = new Map(tweets.map(t => [t.id, t]));
+                    const comments = page.map(c => {
+                        const mentions = parseJsonArray(c.mentions_json);
+                        return {
+                            id: c.id,
+                            tweetId: c.tweet_id,
+                            parentId: c.parent_id,
+                            replyTo: c.reply_to || null,
+                            text: c.text,
+                            textHtml: markdown.render(c.text, { mentions }),
+                            timestamp: c.timestamp,
+                            likesCount: c.likes_count,
+                            mentions,
+                            tweet: byId.get(c.tweet_id) || null
+                        };
+                    });
+                    res.json({ comments, nextCursor });
+                });
+            });
+        });
+    });
+});
+
+// === 接口: 通知 ===
+
+// 获取通知列表，按时间倒序游标分页（游标为通知 id）
+// 返回: { notifications, unreadCount, nextCursor }
+app.get('/api/notifications', requireAuth, (req, res) => {
+    const uid = req.user.id;
+    const { limit, before } = getPageParams(req.query);
+    const params = [uid];
+    let cursorWhere = '';
+    if (before) {
+        cursorWhere = 'AND n.id < ?';
+        params.push(parseInt(before, 10) || 0);
+    }
+    params.push(limit + 1);
+
+    // 被审核隐藏的推文和评论不返回内容
+    db.all(`SELECT n.*, u.nickname AS actor_nickname, u.avatar AS actor_avatar,
+                CASE WHEN t.hidden_at IS NULL THEN t.content END AS tweet_content,
+                CASE WHEN c.hidden_at IS NULL THEN c.text END AS comment_text
+            FROM notifications n
+            LEFT JOIN users u ON n.actor_id = u.id
+            LEFT JOIN tweets t ON n.tweet_id = t.id
+            LEFT JOIN comments c ON n.comment_id = c.id
+            WHERE n.user_id = ? ${cursorWhere}
+            ORDER BY n.id DESC LIMIT ?`, params, (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+
+        db.get(`SELECT COUNT(*) AS count FROM notifications WHERE user_id = ? AND read_at IS NULL`, [uid], (err, unread) => {
+            if (err) return res.status(500).json({ error: err.message });
+
+            const { page, nextCursor } = buildPage(rows, limit, r => String(r.id));
+            const notifications = page.map(r => ({
+                id: r.id,
+                type: r.type,
+                actor: { nickname: r.actor_nickname, avatar: publicUrl(r.actor_avatar) || null },
+                tweetId: r.tweet_id,
+                commentId: r.comment_id,
+                reaction: r.reaction,
+                // 通知只显示摘要，去掉 Markdown 格式并隐藏剧透；内容已删除或被隐藏时为 null
+                tweetContent: r.tweet_content == null ? null : markdown.toPlainText(r.tweet_content),
+                commentText: r.comment_text == null ? null : markdown.toPlainText(r.comment_text),
+                createdAt: r.created_at,
+                read: !!r.read_at
+            }));
+            res.json({ notifications, unreadCount: unread.count, nextCursor });
+        });
+    });
+});
+
+// 获取未读通知数（用于刷新铃铛角标）
+app.get('/api/notifications/unread-count', requireAuth, (req, res) => {
+    db.get(`SELECT COUNT(*) AS count FROM notifications WHERE user_id = ? AND read_at IS NULL`, [req.user.id], (err, row) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({ unreadCount: row.count });
+    });
+});
+
+// 全部标为已读
+app.post('/api/notifications/read-all', requireAuth, (req, res) => {
+    db.run(`UPDATE notifications SET read_at = ? WHERE user_id = ? AND read_at IS NULL`, [Date.now(), req.user.id], function (err) {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({ success: true, updated: this.changes, unreadCount: 0 });
+    });
+});
+
+// 标记单条通知为已读
+app.post('/api/notifications/:id/read', requireAuth, (req, res) => {
+    const uid = req.user.id;
+    db.run(`UPDATE notifications SET read_at = COALESCE(read_at, ?) WHERE id = ? AND user_id = ?`, [Date.now(), req.params.id, uid], function (err) {
+        if (err) return res.status(500).json({ error: err.message });
+        if (this.changes === 0) return res.status(404).json({ error: "Not found" });
+
+        db.get(`SELECT COUNT(*) AS count FROM notifications WHERE user_id = ? AND read_at IS NULL`, [uid], (err, row) => {
+            if (err) return res.status(500).json({ error: err.message });
+            res.json({ success: true, unreadCount: row.count });
+        });
+    });
+});
+
+// === 接口: 私信 ===
+// 会话只在注册用户之间建立。一方注销后会话保留，另一方仍可查看历史消息；
+// 对方已注销或被封禁时不能再发送，被暂停使用的账号可以查看但不能发送
+
+const MESSAGE_MAX_LENGTH = 2000;
+const MESSAGE_MEDIA_FIELDS = { files: { maxCount: 4, kinds: ['image'], maxWidth: 2000, maxHeight: 2000, thumbnail: true, private: true } };
+
+// 会话中对方的用户 id（对方已注销时为 NULL），占位参数为当前用户
+const CONVERSATION_PARTNER = `CASE WHEN c.user_a = ? THEN c.user_b ELSE c.user_a END`;
+
+const MESSAGE_SELECT = `SELECT m.*, s.nickname AS sender_nickname,
+    (SELECT json_group_array(json_object('url', url, 'type', type, 'width', width, 'height', height, 'thumbUrl', thumb_url))
+        FROM (SELECT url, type, width, height, thumb_url FROM message_media mm WHERE mm.message_id = m.id ORDER BY mm.position)) AS media_json
+    FROM messages m LEFT JOIN users s ON s.id = m.sender_id`;
+
+// sender 为发送者的当前昵称，已注销时为 null
+function formatMessage(r) {
+    return {
+        id: r.id,
+        conversationId: r.conversation_id,
+        sender: r.sender_nickname || null,
+        text: r.text,
+        media: publicMedia(parseJsonArray(r.media_json)),
+        createdAt: r.created_at,
+        read: !!r.read_at
+    };
+}
+
+function formatPartner(nickname, avatar, bannedAt) {
+    return { nickname: nickname || null, avatar: publicUrl(avatar) || null, status: !nickname ? 'deleted' : (bannedAt ? 'banned' : 'active') };
+}
+
+// 当前用户参与的会话及对方的状态，会话不存在或不是参与者时返回 undefined
+function getConversation(conversationId, uid, cb) {
+    db.get(`SELECT c.id, p.nickname AS partner, p.avatar AS partner_avatar, p.banned_at AS partner_banned_at
+            FROM conversations c
+            LEFT JOIN users p ON p.id = ${CONVERSATION_PARTNER}
+            WHERE c.id = ? AND (c.user_a = ? OR c.user_b = ?)`, [uid, conversationId, uid, uid], cb);
+}
+
+// 不能向该会话发送私信的原因，可以发送时返回 null
+function messageBlockedReason(conversation) {
+    if (!conversation.partner) return "对方账号已注销，无法发送私信";
+    if (conversation.partner_banned_at) return "对方账号已被封禁，无法发送私信";
+    return null;
+}
+
+function formatConversation(conversation) {
+    return {
+        id: conversation.id,
+        partner: formatPartner(conversation.partner, conversation.partner_avatar, conversation.partner_banned_at),
+        blockedReason: messageBlockedReason(conversation)
+    };
+}
+
+function countUnreadMessages(uid, cb) {
+    db.get(`SELECT COUNT(*) AS count FROM messages m
+            JOIN conversations c ON c.id = m.conversation_id
+            WHERE (c.user_a = ? OR c.user_b = ?) AND m.sender_id IS NOT ? AND m.read_at IS NULL`, [uid, uid, uid], (err, row) => {
+        cb(err, row ? row.count : 0);
+    });
+}
+
+// 会话列表，按最后一条消息倒序游标分页（游标为最后一条消息的 id），没有消息的会话不返回
+// 返回: { conversations: [{ id, partner, lastMessage, unreadCount }], unreadCount, nextCursor }
+app.get('/api/conversations', requireAuth, (req, res) => {
+    const uid = req.user.id;
+    const { limit, before } = getPageParams(req.query);
+    const params = [uid, uid, uid, uid];
+    let cursorWhere = '';
+    if (before) {
+        cursorWhere = 'AND c.last_message_id < ?';
+        params.push(parseInt(before, 10) || 0);
+    }
+    params.push(limit + 1);
+
+    db.all(`SELECT c.id, c.last_message_id, p.nickname AS partner, p.avatar AS partner_avatar, p.banned_at AS partner_banned_at,
+                m.text AS last_text, s.nickname AS last_sender, m.created_at AS last_created_at,
+                (SELECT COUNT(*) FROM message_media mm WHERE mm.message_id = m.id) AS last_media_count,
+                (SELECT COUNT(*) FROM messages x WHERE x.conversation_id = c.id AND x.sender_id IS NOT ? AND x.read_at IS NULL) AS unread_count
+            FROM conversations c
+            JOIN messages m ON m.id = c.last_message_id
+            LEFT JOIN users s ON s.id = m.sender_id
+            LEFT JOIN users p ON p.id = ${CONVERSATION_PARTNER}
+            WHERE (c.user_a = ? OR c.user_b = ?) ${cursorWhere}
+            ORDER BY c.last_message_id DESC LIMIT ?`, params, (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+
+        countUnreadMessages(uid, (err, unreadCount) => {
+            if (err) return res.status(500).json({ error: err.message });
+
+            const { page, nextCursor } = buildPage(rows, limit, r => String(r.last_message_id));
+            const conversations = page.map(r => ({
+                ...formatConversation(r),
+                lastMessage: {
+                    id: r.last_message_id,
+                    sender: r.last_sender,
+                    text: r.last_text,
+                    hasMedia: r.last_media_count > 0,
+                    createdAt: r.last_created_at
+                },
+                unreadCount: r.unread_count
+            }));
+            res.json({ conversations, unreadCount, nextCursor });
+        });
+    });
+});
+
+// 未读私信总数（用于刷新角标）
+app.get('/api/conversations/unread-count', requireAuth, (req, res) => {
+    countUnreadMessages(req.user.id, (err, unreadCount) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({ unreadCount });
+    });
+});
+
+// 打开与某个用户的会话，不存在时创建
+// body: { nickname }
+app.post('/api/conversations', requireAuth, (req, res) => {
+    const uid = req.user.id;
+    const nickname = String(req.body.nickname || '').trim();
+    if (!nickname) return res.status(400).json({ error: "请输入对方的昵称" });
+
+    db.get(`SELECT id, banned_at FROM users WHERE nickname = ?`, [nickname], (err, user) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!user) return res.status(404).json({ error: "用户不存在" });
+        if (user.id === uid) return res.status(400).json({ error: "不能给自己发私信" });
+        if (user.banned_at) return res.status(403).json({ error: "对方账号已被封禁，无法发送私信" });
+
+        const [userA, userB] = [uid, user.id].sort((a, b) => a - b);
+        db.run(`INSERT OR IGNORE INTO conversations (user_a, user_b, created_at) VALUES (?, ?, ?)`, [userA, userB, Date.now()], (err) => {
+            if (err) return res.status(500).json({ error: err.message });
+
+            db.get(`SELECT id FROM conversations WHERE (user_a = ? AND user_b = ?) OR (user_a = ? AND user_b = ?)`,
+                [userA, userB, userB, userA], (err, row) => {
+                    if (err || !row) return res.status(500).json({ error: err ? err.message : "Server error" });
+                    getConversation(row.id, uid, (err, conversation) => {
+                        if (err || !conversation) return res.status(500).json({ error: err ? err.message : "Server error" });
+                        res.json(formatConversation(conversation));
+                    });
+                });
+        });
+    });
+});
+
+// 会话中的消息，最新的在前
+// 查询参数: before (向前翻页，游标为消息 id), after (只返回 id 大于该值的新消息，用于轮询), limit
+// 返回: { conversation, messages, nextCursor }
+app.get('/api/conversations/:id/messages', requireAuth, (req, res) => {
+    const uid = req.user.id;
+    const { limit, before } = getPageParams(req.query);
+    const after = parseInt(queryString(req.query.after), 10);
+
+    getConversation(req.params.id, uid, (err, conversation) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!conversation) return res.status(404).json({ error: "Not found" });
+
+        const params = [conversation.id];
+        let cursorWhere = '';
+        if (after) {
+            cursorWhere = 'AND m.id > ?';
+            params.push(after);
+        } else if (before) {
+            cursorWhere = 'AND m.id < ?';
+            params.push(parseInt(before, 10) || 0);
+        }
+        params.push(limit + 1);
+
+        db.all(`${MESSAGE_SELECT} WHERE m.conversation_id = ? ${cursorWhere} ORDER BY m.id DESC LIMIT ?`, params, (err, rows) => {
+            if (err) return res.status(500).json({ error: err.message });
+
+            const { page, nextCursor } = buildPage(rows, limit, r => String(r.id));
+            res.json({
+                conversation: formatConversation(conversation),
+                messages: page.map(formatMessage),
+                nextCursor: after ? null : nextCursor
+            });
+        });
+    });
+});
 
-    if (!['like', 'confused', 'omg'].includes(type)) {
-        return res.status(400).json({ error: "Invalid reaction type" });
-    }
+// 发送私信，可附带最多 4 张图片 (multipart: text, files)
+app.post('/api/conversations/:id/messages', requireAuth, requireActiveUser, rateLimit('message'), receiveMedia(MESSAGE_MEDIA_FIELDS), (req, res) => {
+    const uid = req.user.id;
+    const text = String(req.body.text || '').trim();
+    const media = req.media.files || [];
+    // 请求被拒绝时删除已保存的附件
+    const reject = (status, error) => {
+        removeUploadedFiles(media.flatMap(m => [m.url, m.thumbUrl]));
+        res.status(status).json({ error });
+    };
 
-    const col = `reactions_${type}`;
-    db.get(`SELECT ${col} FROM tweets WHERE id = ?`, [req.params.id], (err, row) => {
-        if (err || !row) return res.status(404).json({ error: "Not found" });
+    if (!text && media.length === 0) return reject(400, "消息不能为空");
+    if (text.length > MESSAGE_MAX_LENGTH) return reject(400, `消息不能超过 ${MESSAGE_MAX_LENGTH} 字`);
 
-        let userIds = parseReactions(row[col]);
-        const userIndex = userIds.indexOf(uid);
+    getConversation(req.params.id, uid, (err, conversation) => {
+        if (err) return reject(500, err.message);
+        if (!conversation) return reject(404, "Not found");
+        const blockedReason = messageBlockedReason(conversation);
+        if (blockedReason) return reject(403, blockedReason);
 
-        // 如果用户已经在集合中，则执行取消操作（移除该用户）；
-        // 如果不在，则执行点赞操作（加入该用户）
-        if (userIndex > -1) {
-            userIds.splice(userIndex, 1);
-        } else {
-            userIds.push(uid);
-        }
+        db.run(`INSERT INTO messages (conversation_id, sender_id, text, created_at) VALUES (?, ?, ?, ?)`,
+            [conversation.id, uid, text, Date.now()], function (err) {
+                if (err) return reject(500, err.message);
+                const messageId = this.lastID;
 
-        const newColValue = JSON.stringify(userIds);
+                const statements = media.map((m, i) => [
+                    `INSERT INTO message_media (message_id, position, url, type, width, height, thumb_url) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [messageId, i, m.url, m.type, m.width || null, m.height || null, m.thumbUrl || null]
+                ]);
+                statements.push([`UPDATE conversations SET last_message_id = ? WHERE id = ?`, [messageId, conversation.id]]);
+                runStatements(db, statements, (err) => {
+                    if (err) return res.status(500).json({ error: err.message });
 
-        db.run(`UPDATE tweets SET ${col} = ? WHERE id = ?`, [newColValue, req.params.id], function (err) {
-            if (err) return res.status(500).json({ error: err.message });
+                    db.get(`${MESSAGE_SELECT} WHERE m.id = ?`, [messageId], (err, row) => {
+                        if (err || !row) return res.status(500).json({ error: "Server error" });
+                        res.status(201).json(formatMessage(row));
+                    });
+                });
+            });
+    });
+});
 
-            db.get(`SELECT t.*, u.nickname AS registered_nick, u.avatar AS registered_avatar FROM tweets t LEFT JOIN users u ON t.author_uid = u.nickname WHERE t.id = ?`, [req.params.id], (err, r) => {
-                if (err || !r) return res.status(500).json({ error: "Error fetching" });
-                db.all(`SELECT c.*, u.nickname AS registered_nick, u.avatar AS registered_avatar FROM comments c LEFT JOIN users u ON c.author_uid = u.nickname WHERE c.tweet_id = ? ORDER BY c.id DESC`, [req.params.id], (err, cmts) => {
-                    res.json(formatTweet(r, cmts));
+// 将会话中对方发来的消息全部标为已读
+app.post('/api/conversations/:id/read', requireAuth, (req, res) => {
+    const uid = req.user.id;
+    getConversation(req.params.id, uid, (err, conversation) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!conversation) return res.status(404).json({ error: "Not found" });
+
+        db.run(`UPDATE messages SET read_at = ? WHERE conversation_id = ? AND sender_id IS NOT ? AND read_at IS NULL`,
+            [Date.now(), conversation.id, uid], function (err) {
+                if (err) return res.status(500).json({ error: err.message });
+                const updated = this.changes;
+                countUnreadMessages(uid, (err, unreadCount) => {
+                    if (err) return res.status(500).json({ error: err.message });
+                    res.json({ success: true, updated, unreadCount });
                 });
             });
+    });
+});
+
+// 私信附件 (原图或缩略图)，只有会话双方可以读取。不是会话一方时与文件不存在一样返回 404
+app.get('/api/message-media/*file', requireAuth, (req, res) => {
+    const uid = req.user.id;
+    const url = PRIVATE_UPLOAD_URL_PREFIX + req.params.file.join('/');
+    const fp = uploadPathFromUrl(url);
+    if (!fp) return res.status(404).json({ error: "Not found" });
+
+    db.get(`SELECT 1 FROM message_media mm
+            JOIN messages m ON m.id = mm.message_id
+            JOIN conversations c ON c.id = m.conversation_id
+            WHERE (mm.url = ? OR mm.thumb_url = ?) AND (c.user_a = ? OR c.user_b = ?)
+            LIMIT 1`, [url, url, uid, uid], (err, row) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!row) return res.status(404).json({ error: "Not found" });
+        res.set('Cache-Control', 'private, max-age=86400');
+        res.sendFile(fp, (err) => {
+            if (err && !res.headersSent) res.status(err.status === 404 ? 404 : 500).json({ error: err.status === 404 ? "Not found" : err.message });
         });
     });
 });
 
-// 发布评论
-app.post('/api/tweets/:id/comment', (req, res) => {
-    const { text, uid, parent_id } = req.body;
-    if (!uid) return res.status(400).json({ error: "No user ID" });
+// === 接口: 新手引导 ===
+// 每份引导有多个版本：管理员编辑草稿，发布后成为线上版本，也可以一键回滚到某个历史版本。
+// 草稿的配图保存在 uploads/guides/<slug>/v<版本号>，发布新版本或回滚时不删除旧版本的配图，
+// 所有版本都不再引用的文件由 scripts/clean_uploads.js 清理
 
-    db.get(`SELECT id FROM tweets WHERE id = ?`, [req.params.id], (err, row) => {
-        if (err || !row) return res.status(404).json({ error: "Not found" });
+const GUIDE_SLUG_RE = /^[a-z0-9_-]{1,32}$/;
+const GUIDE_TITLE_MAX_LENGTH = 50;
+const GUIDE_STEP_LIMIT = 20;
+// new: 只展示给没看过这份引导的用户；all: 看过旧版本的用户也再展示一次
+const GUIDE_AUDIENCES = ['new', 'all'];
 
-        const cid = Date.now().toString();
-        const timestamp = new Date().toLocaleString();
+function guideUploadDir(slug, version) {
+    return `guides/${slug}/v${version}`;
+}
 
-        db.run(`INSERT INTO comments (id, tweet_id, author_uid, text, timestamp, parent_id) VALUES (?, ?, ?, ?, ?, ?)`,
-            [cid, req.params.id, uid, text, timestamp, parent_id || null], function (err) {
-                if (err) return res.status(500).json({ error: err.message });
+// 整理管理员提交的步骤，配图转回相对地址
+function normalizeGuideSteps(steps) {
+    return steps.filter(step => step && typeof step === 'object').map(step => ({
+        title: typeof step.title === 'string' ? step.title : '',
+        text: typeof step.text === 'string' ? step.text : '',
+        imageUrl: typeof step.imageUrl === 'string' ? storedUrl(step.imageUrl) : ''
+    }));
+}
 
-                db.get(`SELECT t.*, u.nickname AS registered_nick, u.avatar AS registered_avatar FROM tweets t LEFT JOIN users u ON t.author_uid = u.nickname WHERE t.id = ?`, [req.params.id], (err, r) => {
-                    if (err || !r) return res.status(500).json({ error: "Error fetching" });
-                    db.all(`SELECT c.*, u.nickname AS registered_nick, u.avatar AS registered_avatar FROM comments c LEFT JOIN users u ON c.author_uid = u.nickname WHERE c.tweet_id = ? ORDER BY c.id DESC`, [req.params.id], (err, cmts) => {
-                        res.json(formatTweet(r, cmts));
-                    });
+function parseGuideSteps(stepsJson) {
+    return parseJsonArray(stepsJson).map(step => ({ ...step, imageUrl: publicUrl(step.imageUrl) }));
+}
+
+function formatGuideVersion(r) {
+    return {
+        version: r.version,
+        audience: r.audience,
+        steps: parseGuideSteps(r.steps_json),
+        createdAt: r.created_at,
+        updatedAt: r.updated_at,
+        publishedAt: r.published_at || null,
+        publishedBy: r.published_by_nickname || null
+    };
+}
+
+// 引导及其线上版本 (没有发布过时 version 为 NULL)，引导不存在时返回 404 错误
+function getPublishedGuide(slug, cb) {
+    db.get(`SELECT g.slug, g.title, v.version, v.audience, v.steps_json FROM guides g
+            LEFT JOIN guide_versions v ON v.guide_slug = g.slug AND v.version = g.published_version
+            WHERE g.slug = ?`, [slug], (err, guide) => {
+        if (err) return cb(err);
+        if (!guide) return cb(Object.assign(new Error("引导不存在"), { status: 404 }));
+        cb(null, guide);
+    });
+}
+
+function formatPublishedGuide(guide) {
+    return {
+        slug: guide.slug,
+        title: guide.title,
+        version: guide.version || null,
+        audience: guide.audience || null,
+        steps: guide.version ? parseGuideSteps(guide.steps_json) : []
+    };
+}
+
+// 取得引导的草稿，没有时复制线上版本新建一个，版本号为已有的最大版本号加一
+function ensureGuideDraft(slug, cb) {
+    const getDraft = (next) => db.get(`SELECT * FROM guide_versions WHERE guide_slug = ? AND published_at IS NULL`, [slug], next);
+    getDraft((err, draft) => {
+        if (err || draft) return cb(err, draft);
+        getPublishedGuide(slug, (err, guide) => {
+            if (err) return cb(err);
+            const now = Date.now();
+            db.run(`INSERT INTO guide_versions (guide_slug, version, steps_json, audience, created_at, updated_at)
+                    SELECT ?, COALESCE(MAX(version), 0) + 1, ?, 'new', ?, ? FROM guide_versions WHERE guide_slug = ?`,
+                [slug, guide.steps_json || '[]', now, now, slug], (err) => {
+                    if (err) return cb(err);
+                    getDraft(cb);
                 });
-            });
+        });
     });
-});
+}
 
-// 给评论点赞
-app.post('/api/comments/:id/like', (req, res) => {
-    const { uid } = req.body;
+// 管理员编辑器使用的完整信息：草稿和已发布的版本 (新的在前)
+function sendGuideDetail(res, slug) {
+    db.get(`SELECT * FROM guides WHERE slug = ?`, [slug], (err, guide) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!guide) return res.status(404).json({ error: "引导不存在" });
 
-    // 权限校验：缺少uid或是访客账号则拦截
-    if (!uid || uid.startsWith('visitor_')) {
-        return res.status(401).json({ error: "Unauthorized: only logged-in users can like comments." });
-    }
+        db.all(`SELECT v.*, u.nickname AS published_by_nickname FROM guide_versions v
+                LEFT JOIN users u ON u.id = v.published_by
+                WHERE v.guide_slug = ? ORDER BY v.version DESC`, [slug], (err, rows) => {
+            if (err) return res.status(500).json({ error: err.message });
+            const versions = rows.map(formatGuideVersion);
+            res.json({
+                slug: guide.slug,
+                title: guide.title,
+                publishedVersion: guide.published_version,
+                draft: versions.find(v => !v.publishedAt) || null,
+                versions: versions.filter(v => v.publishedAt)
+            });
+        });
+    });
+}
 
-    db.get(`SELECT likes FROM comments WHERE id = ?`, [req.params.id], (err, row) => {
-        if (err || !row) return res.status(404).json({ error: "Comment not found" });
+// 获取引导的线上版本 (登录页展示轮播等不区分用户的场景)
+// 返回: { slug, title, version, audience, steps: [{ title, text, imageUrl }] }，没有发布过时 version 为 null、steps 为空
+app.get('/api/guides/:slug', (req, res) => {
+    getPublishedGuide(req.params.slug, (err, guide) => {
+        if (err) return res.status(err.status || 500).json({ error: err.message });
+        res.json(formatPublishedGuide(guide));
+    });
+});
 
-        let userIds = parseReactions(row.likes);
-        const userIndex = userIds.indexOf(uid);
+// 当前用户还需要看的引导，没有时返回 { guide: null }
+app.get('/api/guides/:slug/pending', requireAuth, (req, res) => {
+    getPublishedGuide(req.params.slug, (err, guide) => {
+        if (err) return res.status(err.status || 500).json({ error: err.message });
+        if (!guide.version) return res.json({ guide: null });
 
-        let action = '';
-        if (userIndex > -1) {
-            userIds.splice(userIndex, 1);
-            action = 'remove';
-        } else {
-            userIds.push(uid);
-            action = 'add';
-        }
+        db.get(`SELECT version FROM guide_views WHERE user_id = ? AND guide_slug = ?`, [req.user.id, guide.slug], (err, seen) => {
+            if (err) return res.status(500).json({ error: err.message });
+            const pending = !seen || (guide.audience === 'all' && seen.version < guide.version);
+            res.json({ guide: pending ? formatPublishedGuide(guide) : null });
+        });
+    });
+});
 
-        const newLikesValue = JSON.stringify(userIds);
+// 记录当前用户看过 (或跳过) 引导的某个已发布版本，body: { version }
+app.post('/api/guides/:slug/seen', requireAuth, (req, res) => {
+    const uid = req.user.id;
+    const slug = req.params.slug;
+    const version = parseInt(req.body.version, 10);
+    if (!(version > 0)) return res.status(400).json({ error: "Invalid version" });
 
-        db.run(`UPDATE comments SET likes = ? WHERE id = ?`, [newLikesValue, req.params.id], function (err) {
+    // 回滚后看的是较早的版本，保留看过的最新版本号
+    db.run(`INSERT OR REPLACE INTO guide_views (user_id, guide_slug, version, seen_at)
+            SELECT ?, guide_slug, MAX(version, COALESCE((SELECT version FROM guide_views WHERE user_id = ? AND guide_slug = ?), 0)), ?
+            FROM guide_versions WHERE guide_slug = ? AND version = ? AND published_at IS NOT NULL`,
+        [uid, uid, slug, Date.now(), slug, version], function (err) {
             if (err) return res.status(500).json({ error: err.message });
-            // 返回新的点赞数和用户列表供前端更新
-            res.json({ success: true, action: action, likesCount: userIds.length, likesUsers: userIds });
+            if (this.changes === 0) return res.status(404).json({ error: "引导版本不存在" });
+            res.json({ success: true });
+        });
+});
+
+// 所有引导 (仅管理员)
+// 返回: { guides: [{ slug, title, publishedVersion, draftVersion, lastPublishedAt }] }
+app.get('/api/admin/guides', requireAdmin, (req, res) => {
+    db.all(`SELECT g.slug, g.title, g.published_version,
+                (SELECT version FROM guide_versions v WHERE v.guide_slug = g.slug AND v.published_at IS NULL) AS draft_version,
+                (SELECT MAX(published_at) FROM guide_versions v WHERE v.guide_slug = g.slug) AS last_published_at
+            FROM guides g ORDER BY g.created_at ASC, g.slug ASC`, (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({
+            guides: rows.map(r => ({
+                slug: r.slug,
+                title: r.title,
+                publishedVersion: r.published_version,
+                draftVersion: r.draft_version,
+                lastPublishedAt: r.last_published_at
+            }))
         });
     });
 });
 
-// 收藏/取消收藏
-app.post('/api/tweets/:id/bookmark', (req, res) => {
-    const { uid } = req.body;
-    if (!uid || uid.startsWith('visitor_')) {
-        return res.status(401).json({ error: "Unauthorized: only logged-in users can bookmark." });
+// 新建引导 (仅管理员)，body: { slug, title }。页面按 slug 读取引导，见 index.html 和 login.html
+app.post('/api/admin/guides', requireAdmin, (req, res) => {
+    const slug = typeof req.body.slug === 'string' ? req.body.slug.trim() : '';
+    const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+    if (!GUIDE_SLUG_RE.test(slug)) {
+        return res.status(400).json({ error: "标识只能包含小写字母、数字、下划线和短横线，最多 32 个字符" });
+    }
+    if (!title || title.length > GUIDE_TITLE_MAX_LENGTH) {
+        return res.status(400).json({ error: `名称不能为空，最多 ${GUIDE_TITLE_MAX_LENGTH} 个字符` });
     }
 
-    db.get(`SELECT * FROM bookmarks WHERE user_id = ? AND tweet_id = ?`, [uid, req.params.id], (err, row) => {
-        if (err) return res.status(500).json({ error: err.message });
+    db.run(`INSERT INTO guides (slug, title, created_at) VALUES (?, ?, ?)`, [slug, title, Date.now()], (err) => {
+        if (err) {
+            if (err.message.includes('UNIQUE constraint failed')) return res.status(409).json({ error: "标识已被使用" });
+            return res.status(500).json({ error: err.message });
+        }
+        res.status(201);
+        sendGuideDetail(res, slug);
+    });
+});
 
-        if (row) {
-            // 取消收藏
-            db.run(`DELETE FROM bookmarks WHERE user_id = ? AND tweet_id = ?`, [uid, req.params.id], (err) => {
+// 引导的草稿和版本历史 (仅管理员)
+// 返回: { slug, title, publishedVersion, draft, versions: [{ version, audience, steps, createdAt, updatedAt, publishedAt, publishedBy }] }
+app.get('/api/admin/guides/:slug', requireAdmin, (req, res) => {
+    sendGuideDetail(res, req.params.slug);
+});
+
+// 保存草稿 (仅管理员)，body: { steps, audience }。没有草稿时新建
+app.put('/api/admin/guides/:slug/draft', requireAdmin, (req, res) => {
+    const { steps, audience } = req.body;
+    if (!Array.isArray(steps)) {
+        return res.status(400).json({ error: "Invalid data format" });
+    }
+    if (steps.length > GUIDE_STEP_LIMIT) {
+        return res.status(400).json({ error: `引导最多 ${GUIDE_STEP_LIMIT} 页` });
+    }
+    if (audience !== undefined && !GUIDE_AUDIENCES.includes(audience)) {
+        return res.status(400).json({ error: "Invalid audience" });
+    }
+
+    ensureGuideDraft(req.params.slug, (err, draft) => {
+        if (err) return res.status(err.status || 500).json({ error: err.message });
+        db.run(`UPDATE guide_versions SET steps_json = ?, audience = ?, updated_at = ? WHERE guide_slug = ? AND version = ?`,
+            [JSON.stringify(normalizeGuideSteps(steps)), audience || draft.audience, Date.now(), draft.guide_slug, draft.version], (err) => {
                 if (err) return res.status(500).json({ error: err.message });
-                res.json({ success: true, bookmarked: false });
+                sendGuideDetail(res, draft.guide_slug);
             });
-        } else {
-            // 添加收藏
-            const ts = new Date().toLocaleString();
-            db.run(`INSERT INTO bookmarks (user_id, tweet_id, timestamp) VALUES (?, ?, ?)`, [uid, req.params.id, ts], (err) => {
-                if (err) return res.status(500).json({ error: err.message });
-                res.json({ success: true, bookmarked: true });
+    });
+});
+
+// 放弃草稿 (仅管理员)，同时删除草稿版本目录中上传的配图
+app.delete('/api/admin/guides/:slug/draft', requireAdmin, (req, res) => {
+    const slug = req.params.slug;
+    db.get(`SELECT version FROM guide_versions WHERE guide_slug = ? AND published_at IS NULL`, [slug], (err, draft) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!draft) return res.status(404).json({ error: "没有草稿" });
+
+        db.run(`DELETE FROM guide_versions WHERE guide_slug = ? AND version = ?`, [slug, draft.version], (err) => {
+            if (err) return res.status(500).json({ error: err.message });
+            fs.rm(path.join(UPLOAD_DIR, guideUploadDir(slug, draft.version)), { recursive: true, force: true }, (err) => {
+                if (err) console.error("删除引导草稿配图失败:", err.message);
             });
-        }
+            sendGuideDetail(res, slug);
+        });
     });
 });
 
-// 获取用户收藏的推文列表
-app.get('/api/bookmarks', (req, res) => {
-    const { uid } = req.query;
-    if (!uid) return res.status(400).json({ error: "Missing uid" });
+// 上传草稿配图 (仅管理员)，保存在草稿版本的目录中，返回 { url, version }。
+// 只上传文件，步骤中的配图地址由编辑器保存草稿时提交
+app.post('/api/admin/guides/:slug/draft/images', requireAdmin, (req, res, next) => {
+    ensureGuideDraft(req.params.slug, (err, draft) => {
+        if (err) return res.status(err.status || 500).json({ error: err.message });
+        req.guideDraft = draft;
+        next();
+    });
+}, receiveMedia(SINGLE_IMAGE_FIELDS, (req) => guideUploadDir(req.guideDraft.guide_slug, req.guideDraft.version)), (req, res) => {
+    if (!req.media.file) {
+        return res.status(400).json({ error: "No file uploaded" });
+    }
+    res.json({ url: publicUrl(req.media.file[0].url), version: req.guideDraft.version });
+});
+
+// 发布草稿 (仅管理员)，body: { audience } 可选，不传时使用草稿中保存的设置
+app.post('/api/admin/guides/:slug/publish', requireAdmin, (req, res) => {
+    const slug = req.params.slug;
+    const { audience } = req.body || {};
+    if (audience !== undefined && !GUIDE_AUDIENCES.includes(audience)) {
+        return res.status(400).json({ error: "Invalid audience" });
+    }
 
-    db.all(`SELECT b.tweet_id, b.timestamp AS bookmark_time, t.*, u.nickname AS registered_nick, u.avatar AS registered_avatar 
-            FROM bookmarks b 
-            JOIN tweets t ON b.tweet_id = t.id 
-            LEFT JOIN users u ON t.author_uid = u.nickname 
-            WHERE b.user_id = ? 
-            ORDER BY b.timestamp DESC`, [uid], (err, rows) => {
+    db.get(`SELECT * FROM guide_versions WHERE guide_slug = ? AND published_at IS NULL`, [slug], (err, draft) => {
         if (err) return res.status(500).json({ error: err.message });
+        if (!draft) return res.status(404).json({ error: "没有待发布的草稿" });
+        if (parseJsonArray(draft.steps_json).length === 0) return res.status(400).json({ error: "引导至少需要一页" });
 
-        const tweets = rows.map(r => {
-            return {
-                ...formatTweet(r, []),
-                bookmark_time: r.bookmark_time
-            };
+        runStatements(db, [
+            [`UPDATE guide_versions SET audience = ?, published_at = ?, published_by = ? WHERE guide_slug = ? AND version = ?`,
+                [audience || draft.audience, Date.now(), req.user.id, slug, draft.version]],
+            [`UPDATE guides SET published_version = ? WHERE slug = ?`, [draft.version, slug]]
+        ], (err) => {
+            if (err) return res.status(500).json({ error: err.message });
+            sendGuideDetail(res, slug);
         });
-        res.json(tweets);
     });
 });
 
-// === 接口: 网站配置 (新手引导) ===
+// 回滚到已发布过的版本 (仅管理员)，body: { version }。
+// 回滚不会让看过更新版本的用户再看一次；需要重新展示时把旧版本载入草稿，选择 all 后发布
+app.post('/api/admin/guides/:slug/rollback', requireAdmin, (req, res) => {
+    const slug = req.params.slug;
+    const version = parseInt(req.body.version, 10);
 
-// 获取引导配置
-app.get('/api/guide', (req, res) => {
-    db.get(`SELECT value FROM site_config WHERE key = 'beginner_guide'`, (err, row) => {
+    db.run(`UPDATE guides SET published_version = ? WHERE slug = ?
+                AND EXISTS (SELECT 1 FROM guide_versions WHERE guide_slug = ? AND version = ? AND published_at IS NOT NULL)`,
+        [version, slug, slug, version], function (err) {
+            if (err) return res.status(500).json({ error: err.message });
+            if (this.changes === 0) return res.status(404).json({ error: "引导版本不存在" });
+            sendGuideDetail(res, slug);
+        });
+});
+
+// 通用文件上传 (用于指南编辑器等上传单张图片，如果仍有其它旧逻辑在用)
+app.post('/api/upload', requireAuth, receiveMedia(SINGLE_IMAGE_FIELDS), (req, res) => {
+    if (!req.media.file) {
+        return res.status(400).json({ error: "No file uploaded" });
+    }
+    res.json({ url: publicUrl(req.media.file[0].url) });
+});
+
+// === 接口: 举报 ===
+
+const REPORT_REASONS = ['spam', 'harassment', 'illegal', 'sexual', 'other'];
+const REPORT_DETAILS_MAX_LENGTH = 500;
+
+// 查询举报/审核目标的当前内容，includeHidden 为 false 时被隐藏的内容按不存在处理
+function getModerationTarget(targetType, targetId, includeHidden, cb) {
+    const hiddenWhere = includeHidden ? '' : 'AND hidden_at IS NULL';
+    const query = targetType === 'tweet'
+        ? `SELECT t.id, t.id AS tweet_id, t.author_uid, ${authorName('u', 't')} AS author, t.content, t.hidden_at
+           FROM tweets t LEFT JOIN users u ON u.id = t.author_uid WHERE t.id = ? ${hiddenWhere}`
+        : `SELECT c.id, c.tweet_id, c.author_uid, ${authorName('u', 'c')} AS author, c.text AS content, c.hidden_at
+           FROM comments c LEFT JOIN users u ON u.id = c.author_uid WHERE c.id = ? ${hiddenWhere}`;
+    db.get(query, [targetId], cb);
+}
+
+// 举报推文或评论
+// body: { targetType: 'tweet' | 'comment', targetId, reason (见 REPORT_REASONS), details (可选补充说明) }
+app.post('/api/reports', requireAuth, (req, res) => {
+    const uid = req.user.id;
+    const { targetType, targetId, reason } = req.body;
+    const details = String(req.body.details || '').trim();
+
+    if (!['tweet', 'comment'].includes(targetType) || !targetId) return res.status(400).json({ error: "举报对象无效" });
+    if (!REPORT_REASONS.includes(reason)) return res.status(400).json({ error: "请选择举报原因" });
+    if (details.length > REPORT_DETAILS_MAX_LENGTH) return res.status(400).json({ error: `补充说明不能超过 ${REPORT_DETAILS_MAX_LENGTH} 字` });
+
+    getModerationTarget(targetType, String(targetId), false, (err, target) => {
         if (err) return res.status(500).json({ error: err.message });
-        if (!row) return res.json({ steps: [] });
-        try {
-            res.json(JSON.parse(row.value));
-        } catch (e) {
-            res.json({ steps: [] });
-        }
+        if (!target) return res.status(404).json({ error: "Not found" });
+        if (target.author_uid === uid) return res.status(400).json({ error: "不能举报自己的内容" });
+
+        db.run(`INSERT INTO reports (reporter_id, target_type, target_id, tweet_id, target_author, content_snapshot, reason, details, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [uid, targetType, target.id, target.tweet_id, target.author_uid, target.content, reason, details || null, Date.now()], function (err) {
+                if (err) {
+                    if (err.message.includes('UNIQUE constraint failed')) {
+                        return res.status(409).json({ error: "你已经举报过该内容，请等待处理" });
+                    }
+                    return res.status(500).json({ error: err.message });
+                }
+                res.status(201).json({ success: true, id: this.lastID });
+            });
     });
 });
 
-// 更新引导配置
-app.post('/api/guide', (req, res) => {
-    const { steps } = req.body;
-    if (!Array.isArray(steps)) {
-        return res.status(400).json({ error: "Invalid data format" });
+// === 接口: 管理员 ===
+
+// 用户列表及管理员标记、账号状态
+app.get('/api/admin/users', requireAdmin, (req, res) => {
+    db.all(`SELECT nickname, avatar, is_admin, suspended_until, banned_at FROM users ORDER BY nickname ASC`, [], (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        const now = Date.now();
+        res.json(rows.map(r => ({
+            nickname: r.nickname,
+            avatar: publicUrl(r.avatar),
+            isAdmin: !!r.is_admin,
+            suspendedUntil: r.suspended_until > now ? r.suspended_until : null,
+            bannedAt: r.banned_at || null
+        })));
+    });
+});
+
+// 授予或撤销管理员
+app.post('/api/admin/users/:nickname/admin', requireAdmin, (req, res) => {
+    const isAdmin = req.body.isAdmin ? 1 : 0;
+    if (!isAdmin && req.params.nickname === req.user.nickname) {
+        return res.status(400).json({ error: "不能撤销自己的管理员权限" });
     }
 
-    const value = JSON.stringify({ steps });
+    db.run(`UPDATE users SET is_admin = ? WHERE nickname = ?`, [isAdmin, req.params.nickname], function (err) {
+        if (err) return res.status(500).json({ error: err.message });
+        if (this.changes === 0) return res.status(404).json({ error: "用户不存在" });
+        res.json({ success: true, nickname: req.params.nickname, isAdmin: !!isAdmin });
+    });
+});
+
+// --- 运营统计 ---
+
+const STATS_DEFAULT_DAYS = 30;
+const STATS_MAX_DAYS = 366;
+const STATS_TOP_LIMIT = 10;
+
+// 解析 YYYY-MM-DD 为本地时区当天 0 点，格式不对或日期不存在时返回 null
+function parseDay(text) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text || '');
+    if (!m) return null;
+    const date = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    return formatDay(date) === text ? date : null;
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+// 毫秒时间戳列换算为本地日期；评论没有创建时间列，id 即创建时间
+const localDay = (column) => `date(${column} / 1000, 'unixepoch', 'localtime')`;
+const COMMENT_CREATED_AT = `CAST(c.id AS INTEGER)`;
+
+// 运营统计，from / to 为日期 (YYYY-MM-DD，含两端)，默认最近 30 天，最长 366 天
+// 返回: { from, to, days: [{ day, newUsers, posts, comments, reactions, views, activeUsers, activeVisitors }], totals,
+//        topPosts: [{ id, author, excerpt, createdAt, hidden, views, reactions, comments }],
+//        topTags: [{ tag, count }], topUsers: [{ nickname, avatar, posts, comments, reactions, activeDays }] }
+// 发帖数不含转发，已删除的内容不计入；totals 中的活跃人数为区间内去重后的人数，热门推文按区间内的浏览量排序
+app.get('/api/admin/stats', requireAdmin, (req, res) => {
+    const today = parseDay(formatDay(new Date()));
+    const to = req.query.to ? parseDay(queryString(req.query.to)) : today;
+    const from = req.query.from ? parseDay(queryString(req.query.from)) : to && addDays(to, 1 - STATS_DEFAULT_DAYS);
+    if (!from || !to) return res.status(400).json({ error: "日期格式应为 YYYY-MM-DD" });
+    if (from > to) return res.status(400).json({ error: "开始日期不能晚于结束日期" });
+
+    const days = [];
+    for (let d = from; d <= to && days.length <= STATS_MAX_DAYS; d = addDays(d, 1)) days.push(formatDay(d));
+    if (days.length > STATS_MAX_DAYS) return res.status(400).json({ error: `统计区间最长 ${STATS_MAX_DAYS} 天` });
 
-    db.run(`INSERT OR REPLACE INTO site_config (key, value) VALUES ('beginner_guide', ?)`, [value], function (err) {
+    const range = [from.getTime(), addDays(to, 1).getTime()];
+    const dayRange = [days[0], days[days.length - 1]];
+    const data = {};
+    const queries = [
+        ['newUsers', 'all', `SELECT ${localDay('created_at')} AS day, COUNT(*) AS n FROM users
+            WHERE created_at >= ? AND created_at < ? GROUP BY day`, range],
+        ['posts', 'all', `SELECT ${localDay('created_at')} AS day, COUNT(*) AS n FROM tweets
+            WHERE repost_of IS NULL AND created_at >= ? AND created_at < ? GROUP BY day`, range],
+        ['comments', 'all', `SELECT ${localDay(COMMENT_CREATED_AT)} AS day, COUNT(*) AS n FROM comments c
+            WHERE c.id GLOB '[0-9]*' AND ${COMMENT_CREATED_AT} >= ? AND ${COMMENT_CREATED_AT} < ? GROUP BY day`, range],
+        ['reactions', 'all', `SELECT ${localDay('created_at')} AS day, COUNT(*) AS n FROM tweet_reactions
+            WHERE created_at >= ? AND created_at < ? GROUP BY day`, range],
+        ['views', 'all', `SELECT day, COUNT(*) AS n FROM tweet_views WHERE day BETWEEN ? AND ? GROUP BY day`, dayRange],
+        ['active', 'all', `SELECT day, SUM(actor LIKE 'user:%') AS users, SUM(actor NOT LIKE 'user:%') AS visitors
+            FROM daily_active WHERE day BETWEEN ? AND ? GROUP BY day`, dayRange],
+        ['activeTotals', 'get', `SELECT COUNT(DISTINCT CASE WHEN actor LIKE 'user:%' THEN actor END) AS users,
+                COUNT(DISTINCT CASE WHEN actor NOT LIKE 'user:%' THEN actor END) AS visitors
+            FROM daily_active WHERE day BETWEEN ? AND ?`, dayRange],
+        ['topPosts', 'all', `SELECT t.id, t.content, t.created_at, t.hidden_at, ${authorName('u', 't')} AS author, v.views,
+                (SELECT COUNT(*) FROM tweet_reactions r WHERE r.tweet_id = t.id) AS reactions,
+                (SELECT COUNT(*) FROM comments c WHERE c.tweet_id = t.id AND c.hidden_at IS NULL) AS comments
+            FROM (SELECT tweet_id, COUNT(*) AS views FROM tweet_views WHERE day BETWEEN ? AND ? GROUP BY tweet_id) v
+            JOIN tweets t ON t.id = v.tweet_id LEFT JOIN users u ON u.id = t.author_uid
+            ORDER BY v.views DESC, reactions DESC, t.id DESC LIMIT ${STATS_TOP_LIMIT}`, dayRange],
+        ['topTags', 'all', `SELECT MIN(g.tag) AS tag, COUNT(DISTINCT g.tweet_id) AS count
+            FROM tweet_tags g JOIN tweets t ON t.id = g.tweet_id
+            WHERE t.repost_of IS NULL AND t.created_at >= ? AND t.created_at < ?
+            GROUP BY g.tag COLLATE NOCASE ORDER BY count DESC, tag LIMIT ${STATS_TOP_LIMIT}`, range],
+        ['topUsers', 'all', `SELECT u.nickname, u.avatar, SUM(e.kind = 'post') AS posts, SUM(e.kind = 'comment') AS comments,
+                SUM(e.kind = 'reaction') AS reactions,
+                (SELECT COUNT(*) FROM daily_active a WHERE a.actor = 'user:' || u.id AND a.day BETWEEN ? AND ?) AS active_days
+            FROM (
+                SELECT author_uid AS user_id, 'post' AS kind FROM tweets WHERE repost_of IS NULL AND created_at >= ? AND created_at < ?
+                UNION ALL
+                SELECT c.author_uid, 'comment' FROM comments c
+                    WHERE c.id GLOB '[0-9]*' AND ${COMMENT_CREATED_AT} >= ? AND ${COMMENT_CREATED_AT} < ?
+                UNION ALL
+                SELECT user_id, 'reaction' FROM tweet_reactions WHERE created_at >= ? AND created_at < ?
+            ) e JOIN users u ON u.id = e.user_id
+            GROUP BY u.id ORDER BY COUNT(*) DESC, active_days DESC, u.nickname LIMIT ${STATS_TOP_LIMIT}`,
+            [...dayRange, ...range, ...range, ...range]]
+    ];
+    series(queries.map(([key, method, sql, params]) => (next) => {
+        db[method](sql, params, (err, result) => {
+            data[key] = result;
+            next(err);
+        });
+    }), (err) => {
         if (err) return res.status(500).json({ error: err.message });
-        res.json({ success: true });
+
+        const byDay = {};
+        days.forEach(day => byDay[day] = { day, newUsers: 0, posts: 0, comments: 0, reactions: 0, views: 0, activeUsers: 0, activeVisitors: 0 });
+        ['newUsers', 'posts', 'comments', 'reactions', 'views'].forEach(key => {
+            data[key].forEach(r => { if (byDay[r.day]) byDay[r.day][key] = r.n; });
+        });
+        data.active.forEach(r => {
+            if (!byDay[r.day]) return;
+            byDay[r.day].activeUsers = r.users;
+            byDay[r.day].activeVisitors = r.visitors;
+        });
+
+        const daily = days.map(day => byDay[day]);
+        const sum = (key) => daily.reduce((total, d) => total + d[key], 0);
+        res.json({
+            from: dayRange[0],
+            to: dayRange[1],
+            days: daily,
+            totals: {
+                newUsers: sum('newUsers'), posts: sum('posts'), comments: sum('comments'), reactions: sum('reactions'), views: sum('views'),
+                activeUsers: data.activeTotals.users, activeVisitors: data.activeTotals.visitors
+            },
+            topPosts: data.topPosts.map(r => ({
+                id: r.id,
+                author: r.author,
+                excerpt: pageExcerpt(markdown.toPlainText(r.content || '')),
+                createdAt: r.created_at,
+                hidden: !!r.hidden_at,
+                views: r.views,
+                reactions: r.reactions,
+                comments: r.comments
+            })),
+            topTags: data.topTags,
+            topUsers: data.topUsers.map(r => ({
+                nickname: r.nickname,
+                avatar: publicUrl(r.avatar),
+                posts: r.posts,
+                comments: r.comments,
+                reactions: r.reactions,
+                activeDays: r.active_days
+            }))
+        });
     });
 });
 
-// 通用文件上传 (用于指南编辑器等上传单张图片，如果仍有其它旧逻辑在用)
-app.post('/api/upload', upload.single('file'), (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: "No file uploaded" });
+// --- 内容审核 ---
+
+// 写入审核记录，snapshot 为操作前目标的状态
+function recordModeration({ moderatorId, action, targetType, targetId, note, snapshot }, cb) {
+    db.run(`INSERT INTO moderation_actions (moderator_id, action, target_type, target_id, note, snapshot, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [moderatorId, action, targetType, targetId, note || null, snapshot ? JSON.stringify(snapshot) : null, Date.now()], cb);
+}
+
+// 结束目标上所有待处理的举报
+function closeReports(targetType, targetId, status, moderatorId, cb) {
+    db.run(`UPDATE reports SET status = ?, resolved_at = ?, resolved_by = ? WHERE target_type = ? AND target_id = ? AND status = 'open'`,
+        [status, Date.now(), moderatorId, targetType, targetId], cb);
+}
+
+// 隐藏、恢复或删除评论后，刷新所属推文的全文索引并推送给正在查看的客户端
+function refreshCommentedTweet(tweetId) {
+    indexTweet(tweetId, () => publishTweet('tweet_updated', tweetId));
+}
+
+// 待处理的举报，按被举报的内容分组，最早被举报的排在前面
+// 返回: { items: [{ targetType, targetId, tweetId, author, authorStatus, content, exists, hidden, reports: [...] }], nextCursor }
+app.get('/api/admin/reports', requireAdmin, (req, res) => {
+    const { limit, before } = getPageParams(req.query);
+    const params = [];
+    let having = '';
+    if (before) {
+        having = 'HAVING MIN(r.id) > ?';
+        params.push(parseInt(before, 10) || 0);
+    }
+    params.push(limit + 1);
+
+    db.all(`SELECT q.*, COALESCE(u.nickname, q.legacy_author) AS author_nickname, u.suspended_until, u.banned_at FROM (
+                SELECT r.target_type, r.target_id, MIN(r.id) AS first_id,
+                    MAX(r.tweet_id) AS tweet_id,
+                    COALESCE(t.author_uid, c.author_uid, MAX(r.target_author)) AS author,
+                    COALESCE(t.legacy_author, c.legacy_author) AS legacy_author,
+                    COALESCE(t.content, c.text, MAX(r.content_snapshot)) AS content,
+                    COALESCE(t.id, c.id) IS NOT NULL AS target_exists,
+                    COALESCE(t.hidden_at, c.hidden_at) AS hidden_at,
+                    json_group_array(json_object('id', r.id, 'reporter', (SELECT nickname FROM users WHERE id = r.reporter_id), 'reason', r.reason, 'details', r.details, 'createdAt', r.created_at)) AS reports_json
+                FROM reports r
+                LEFT JOIN tweets t ON r.target_type = 'tweet' AND t.id = r.target_id
+                LEFT JOIN comments c ON r.target_type = 'comment' AND c.id = r.target_id
+                WHERE r.status = 'open'
+                GROUP BY r.target_type, r.target_id
+                ${having}
+            ) q
+            LEFT JOIN users u ON u.id = q.author
+            ORDER BY q.first_id ASC LIMIT ?`, params, (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+
+        const now = Date.now();
+        const { page, nextCursor } = buildPage(rows, limit, r => String(r.first_id));
+        res.json({
+            items: page.map(r => ({
+                targetType: r.target_type,
+                targetId: r.target_id,
+                tweetId: r.tweet_id,
+                author: r.author_nickname,
+                authorStatus: r.banned_at ? 'banned' : (r.suspended_until > now ? 'suspended' : 'active'),
+                content: r.content,
+                exists: !!r.target_exists,
+                hidden: !!r.hidden_at,
+                reports: parseJsonArray(r.reports_json)
+            })),
+            nextCursor
+        });
+    });
+});
+
+// 被隐藏的推文和评论，最近隐藏的在前，游标为隐藏时间
+app.get('/api/admin/hidden', requireAdmin, (req, res) => {
+    const { limit, before } = getPageParams(req.query);
+    const params = [];
+    let cursorWhere = '';
+    if (before) {
+        cursorWhere = 'WHERE hidden_at < ?';
+        params.push(parseInt(before, 10) || 0);
     }
-    const userDir = req.body.uid || 'guest';
-    const url = `http://localhost:5000/uploads/${userDir}/${req.file.filename}`;
-    res.json({ url });
+    params.push(limit + 1);
+
+    db.all(`SELECT * FROM (
+                SELECT 'tweet' AS target_type, t.id AS target_id, t.id AS tweet_id, ${authorName('u', 't')} AS author, t.content, t.hidden_at
+                FROM tweets t LEFT JOIN users u ON u.id = t.author_uid WHERE t.hidden_at IS NOT NULL
+                UNION ALL
+                SELECT 'comment', c.id, c.tweet_id, ${authorName('u', 'c')}, c.text, c.hidden_at
+                FROM comments c LEFT JOIN users u ON u.id = c.author_uid WHERE c.hidden_at IS NOT NULL
+            ) ${cursorWhere}
+            ORDER BY hidden_at DESC LIMIT ?`, params, (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+
+        const { page, nextCursor } = buildPage(rows, limit, r => String(r.hidden_at));
+        res.json({
+            items: page.map(r => ({
+                targetType: r.target_type,
+                targetId: r.target_id,
+                tweetId: r.tweet_id,
+                author: r.author,
+                content: r.content,
+                hiddenAt: r.hidden_at
+            })),
+            nextCursor
+        });
+    });
 });
 
-// 新手引导专属文件上传
-app.post('/api/upload-guide', guideUpload.single('file'), (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: "No file uploaded" });
+// 审核记录，最新的在前。针对用户的操作 target_id 为用户 id，返回当前昵称；用户已注销时返回操作时的昵称
+app.get('/api/admin/moderation-log', requireAdmin, (req, res) => {
+    const { limit, before } = getPageParams(req.query);
+    const params = [];
+    let cursorWhere = '';
+    if (before) {
+        cursorWhere = 'WHERE a.id < ?';
+        params.push(parseInt(before, 10) || 0);
     }
-    const url = `http://localhost:5000/uploads/guide/${req.file.filename}`;
-    res.json({ url });
+    params.push(limit + 1);
+
+    db.all(`SELECT a.*, m.nickname AS moderator_nickname, tu.nickname AS target_nickname
+            FROM moderation_actions a
+            LEFT JOIN users m ON m.id = a.moderator_id
+            LEFT JOIN users tu ON a.target_type = 'user' AND tu.id = a.target_id
+            ${cursorWhere} ORDER BY a.id DESC LIMIT ?`, params, (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+
+        const { page, nextCursor } = buildPage(rows, limit, r => String(r.id));
+        res.json({
+            items: page.map(r => {
+                const snapshot = parseJsonObject(r.snapshot);
+                return {
+                    id: r.id,
+                    moderator: r.moderator_nickname || null,
+                    action: r.action,
+                    targetType: r.target_type,
+                    targetId: r.target_type === 'user' ? (r.target_nickname || snapshot.nickname || r.target_id) : r.target_id,
+                    note: r.note,
+                    snapshot,
+                    createdAt: r.created_at
+                };
+            }),
+            nextCursor
+        });
+    });
+});
+
+// 处理推文或评论
+// body: { action: 'hide' | 'restore' | 'delete' | 'dismiss', note }
+//   hide    隐藏内容，待处理的举报标记为已处理
+//   restore 恢复被隐藏的内容
+//   delete  删除内容（评论连同其回复一起删除），待处理的举报标记为已处理
+//   dismiss 驳回举报，内容不变
+app.post('/api/admin/moderation/:targetType/:targetId', requireAdmin, (req, res) => {
+    const { targetType, targetId } = req.params;
+    const { action } = req.body;
+    const note = String(req.body.note || '').trim();
+    const moderatorId = req.user.id;
+
+    if (!['tweet', 'comment'].includes(targetType)) return res.status(400).json({ error: "审核对象无效" });
+    if (!['hide', 'restore', 'delete', 'dismiss'].includes(action)) return res.status(400).json({ error: "操作无效" });
+
+    getModerationTarget(targetType, targetId, true, (err, target) => {
+        if (err) return res.status(500).json({ error: err.message });
+        // 内容已被作者删除时仍可以驳回举报
+        if (!target && action !== 'dismiss') return res.status(404).json({ error: "Not found" });
+
+        const table = targetType === 'tweet' ? 'tweets' : 'comments';
+        const snapshot = target ? { author: target.author, content: target.content, tweetId: target.tweet_id, hiddenAt: target.hidden_at } : null;
+        const finish = (reportStatus) => {
+            const record = () => recordModeration({ moderatorId, action, targetType, targetId, note, snapshot }, (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+                res.json({ success: true, action });
+            });
+            if (!reportStatus) return record();
+            closeReports(targetType, targetId, reportStatus, moderatorId, (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+                record();
+            });
+        };
+
+        if (action === 'dismiss') return finish('dismissed');
+
+        if (action === 'hide' || action === 'restore') {
+            const hiddenAt = action === 'hide' ? (target.hidden_at || Date.now()) : null;
+            return db.run(`UPDATE ${table} SET hidden_at = ? WHERE id = ?`, [hiddenAt, targetId], (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+                if (targetType === 'comment') {
+                    refreshCommentedTweet(target.tweet_id);
+                } else if (action === 'hide') {
+                    // 对客户端来说隐藏等同于删除
+                    publishEvent('tweet_deleted', { id: targetId });
+                }
+                finish(action === 'hide' ? 'resolved' : null);
+            });
+        }
+
+        // delete
+        if (targetType === 'tweet') {
+            return deleteTweet(targetId, (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+                finish('resolved');
+            });
+        }
+        db.run(`DELETE FROM comments WHERE id = ? OR parent_id = ?`, [targetId, targetId], (err) => {
+            if (err) return res.status(500).json({ error: err.message });
+            refreshCommentedTweet(target.tweet_id);
+            finish('resolved');
+        });
+    });
+});
+
+// 修改账号状态
+// body: { status: 'active' | 'suspended' | 'banned', days (暂停天数，默认 7), note }
+//   suspended 暂停期间可以登录浏览，但不能发布、评论和互动；到期自动恢复
+//   banned    封禁后立即退出所有会话，不能再登录
+app.post('/api/admin/users/:nickname/status', requireAdmin, (req, res) => {
+    const { nickname } = req.params;
+    const { status } = req.body;
+    const note = String(req.body.note || '').trim();
+    const moderatorId = req.user.id;
+
+    if (!['active', 'suspended', 'banned'].includes(status)) return res.status(400).json({ error: "状态无效" });
+
+    let days = parseInt(req.body.days, 10);
+    if (!days || days < 1) days = 7;
+    days = Math.min(days, 365);
+
+    db.get(`SELECT id, nickname, is_admin, suspended_until, banned_at FROM users WHERE nickname = ?`, [nickname], (err, user) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!user) return res.status(404).json({ error: "用户不存在" });
+        if (user.id === moderatorId) return res.status(400).json({ error: "不能修改自己的账号状态" });
+        if (user.is_admin && status !== 'active') return res.status(400).json({ error: "请先撤销该用户的管理员权限" });
+
+        const now = Date.now();
+        const suspendedUntil = status === 'suspended' ? now + days * 24 * 60 * 60 * 1000 : null;
+        const bannedAt = status === 'banned' ? now : null;
+        const action = status === 'active' ? 'reinstate' : (status === 'suspended' ? 'suspend' : 'ban');
+
+        db.run(`UPDATE users SET suspended_until = ?, banned_at = ? WHERE id = ?`, [suspendedUntil, bannedAt, user.id], (err) => {
+            if (err) return res.status(500).json({ error: err.message });
+
+            const record = () => recordModeration({
+                moderatorId, action, targetType: 'user', targetId: String(user.id),
+                note: status === 'suspended' ? `${days} 天${note ? `: ${note}` : ''}` : note,
+                snapshot: { nickname: user.nickname, suspendedUntil: user.suspended_until, bannedAt: user.banned_at }
+            }, (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+                res.json({ success: true, nickname, status, suspendedUntil, bannedAt });
+            });
+
+            if (status !== 'banned') return record();
+            db.run(`DELETE FROM sessions WHERE user_id = ?`, [user.id], (err) => {
+                if (err) return res.status(500).json({ error: err.message });
+                record();
+            });
+        });
+    });
+});
+
+// === 页面: 前端路由 ===
+
+// 前端用 History API 切换视图，这些地址都返回 index.html，由前端按地址显示对应的视图：
+// /post/:id 推文详情、/u/:nickname 个人主页、/search?q=&tags= 搜索、/tag/:name 标签、/notifications 通知、/messages 私信。
+// 推文和个人主页在页面中加入 OpenGraph / Twitter Card 信息（标题、摘要、第一张图片），聊天软件抓取链接时可以显示预览
+const APP_PAGE = path.join(__dirname, 'index.html');
+const SITE_NAME = 'Cyber?Space';
+const PAGE_EXCERPT_LENGTH = 150;
+
+function escapeHtmlAttr(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// 合并空白并截断，用作页面标题和摘要
+function pageExcerpt(text, length = PAGE_EXCERPT_LENGTH) {
+    const flat = String(text || '').replace(/\s+/g, ' ').trim();
+    return flat.length > length ? flat.slice(0, length - 1) + '…' : flat;
+}
+
+// 返回前端页面。meta 为 { type, title, description, image, largeImage, url } 时替换页面标题并加入链接预览信息，
+// url 默认为请求的地址
+function sendAppPage(req, res, meta, status = 200) {
+    fs.readFile(APP_PAGE, 'utf8', (err, html) => {
+        if (err) return res.status(500).send("页面加载失败");
+        if (meta) {
+            const url = meta.url || config.baseUrl + req.originalUrl;
+            const tags = [
+                ['property', 'og:site_name', SITE_NAME],
+                ['property', 'og:type', meta.type],
+                ['property', 'og:url', url],
+                ['property', 'og:title', meta.title],
+                ['property', 'og:description', meta.description],
+                ['property', 'og:image', meta.image],
+                ['name', 'twitter:card', meta.image && meta.largeImage ? 'summary_large_image' : 'summary'],
+                ['name', 'twitter:title', meta.title],
+                ['name', 'twitter:description', meta.description],
+                ['name', 'twitter:image', meta.image]
+            ].filter(([, , content]) => content)
+                .map(([attr, key, content]) => `    <meta ${attr}="${key}" content="${escapeHtmlAttr(content)}" />`);
+            tags.push(`    <meta name="description" content="${escapeHtmlAttr(meta.description)}" />`);
+            html = html
+                // 用函数返回替换内容，避免用户文字中的 $& 、$' 等被当成替换模式
+                .replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtmlAttr(`${meta.title} - ${SITE_NAME}`)}</title>`)
+                .replace('</head>', () => `${tags.join('\n')}\n</head>`);
+        }
+        res.status(status).type('html').send(html);
+    });
+}
+
+// 推文详情：转发按原推文处理。被隐藏或不存在时仍返回页面（由前端显示加载失败），不附带预览信息
+app.get('/post/:id', (req, res) => {
+    findOriginalTweet(req.params.id, (err, original) => {
+        if (err) return sendAppPage(req, res, null, err.status || 500);
+
+        db.get(`${TWEET_SELECT} WHERE t.id = ?`, [original.id], (err, r) => {
+            if (err || !r) return sendAppPage(req, res, null, err ? 500 : 404);
+            const tweet = formatTweet(r);
+            const image = tweet.media.find(m => m.type === 'image');
+            const mediaNote = tweet.media.length > 0 ? `[${tweet.media.length} 个图片/视频]` : '';
+            // 预览中不显示 Markdown 标记和剧透内容
+            const text = markdown.toPlainText(tweet.content);
+            sendAppPage(req, res, {
+                type: 'article',
+                url: `${config.baseUrl}/post/${encodeURIComponent(tweet.id)}`,
+                title: `${tweet.user}: ${pageExcerpt(text, 40) || mediaNote || '推文'}`,
+                description: pageExcerpt(text) || mediaNote || `${tweet.user} 的推文`,
+                image: image ? image.url : tweet.userAvatar,
+                largeImage: !!image
+            });
+        });
+    });
+});
+
+// 个人主页：被封禁的用户按不存在处理；保留期内用改名前的昵称访问时永久跳转到新昵称
+app.get('/u/:nickname', (req, res) => {
+    resolveNickname(req.params.nickname, (err, found) => {
+        if (err || !found) return sendAppPage(req, res, null, err ? 500 : 404);
+        // 旧昵称宽限期过后可能被别人使用，用临时跳转，避免浏览器永久缓存到原来的用户
+        if (found.nickname !== req.params.nickname) return res.redirect(302, `/u/${encodeURIComponent(found.nickname)}`);
+
+        db.get(`SELECT nickname, bio, avatar FROM users WHERE id = ?`, [found.id], (err, user) => {
+            if (err || !user) return sendAppPage(req, res, null, err ? 500 : 404);
+            sendAppPage(req, res, {
+                type: 'profile',
+                title: `${user.nickname} 的主页`,
+                description: pageExcerpt(user.bio) || `${user.nickname} 在 ${SITE_NAME} 的主页`,
+                image: publicUrl(user.avatar),
+                largeImage: false
+            });
+        });
+    });
 });
 
-const PORT = 5000;
-app.listen(PORT, () => {
-    console.log(`服务器运行在: http://localhost:${PORT}`);
-});
\ No newline at end of file
+app.get(['/search', '/tag/:name', '/notifications', '/messages'], (req, res) => sendAppPage(req, res, null));
+
+function startServer() {
+    app.listen(config.port, () => {
+        console.log(`服务器运行在: ${config.baseUrl} (端口 ${config.port})`);
+    });
+
+    // 定时发布：启动时先补发停机期间到期的草稿，之后定期检查
+    publishDueDrafts();
+    setInterval(publishDueDrafts, SCHEDULER_INTERVAL_MS).unref();
+}
\ No newline at end of file